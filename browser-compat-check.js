@@ -64,6 +64,24 @@
             check: () => !!(window.requestAnimationFrame),
             critical: false,
             description: 'Required for smooth visualizations'
+        },
+        audioWorklet: {
+            name: 'AudioWorklet',
+            check: () => !!(window.AudioWorkletNode),
+            critical: false,
+            description: 'Sample-accurate demodulation (falls back to ScriptProcessor)'
+        },
+        compressionStream: {
+            name: 'CompressionStream',
+            check: () => !!(window.CompressionStream && window.DecompressionStream),
+            critical: false,
+            description: 'Deflate/gzip payload codecs (LZ77 still works without it)'
+        },
+        indexedDB: {
+            name: 'IndexedDB',
+            check: () => !!(window.indexedDB),
+            critical: false,
+            description: 'Keeps partial transfers so they can be resumed'
         }
     };
 
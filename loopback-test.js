@@ -0,0 +1,573 @@
+// Offline loopback test for SonicTransfer
+// Renders each transfer to PCM with the real modulator, decodes the samples with the
+// real demodulator and compares the result byte for byte - no speakers or microphone.
+//
+// Usage: node loopback-test.js [options] [file ...]   (defaults to everything in test-files/)
+//
+// Channel impairments (see ChannelSimulator):
+//   --snr <dB>            add noise at this signal-to-noise ratio
+//   --noise white|pink    noise colour (default white)
+//   --reverb <seconds>    room reverb with this RT60
+//   --reverb-level <0-1>  diffuse tail level relative to the direct path (default 0.3)
+//   --drift <ppm>         receiver sample clock offset
+//   --dropouts <rate>     random signal dropouts per second
+//   --dropout-ms <ms>     length of each dropout (default 50)
+//   --seed <n>            random seed, so runs are reproducible (default 1)
+//   --power <0-1>         transmit power (default CONFIG.MAX_POWER)
+//
+// Modulation:
+//   --modulation <mode>   fsk2, fsk4, fsk8, dpsk or ofdm (default CONFIG.MODULATION)
+//   --band <band>         audible or ultrasonic (default CONFIG.FREQUENCY_BAND)
+//
+// Compression:
+//   --codec <id>          none, lz, dict, delta, deflate, gzip or auto (default CONFIG.COMPRESSION_CODEC);
+//                         files over CONFIG.COMPRESSION_MIN_SIZE are sent compressed with it
+// Before any transfer, a signed transfer of the smallest file (plain and encrypted) must verify
+// after decoding, fail with any signed META field or a payload byte changed, and name an
+// untrusted key as an unknown signer.
+// RateController is fed SNR and failure sequences, every RATE_PROFILES entry round-trips
+// through a RATE frame, and a transfer that switches rate mid-way must decode.
+// LZCompressor also round-trips seeded random bytes (with 0xFF runs and NULs)
+// and every file directly, so escaping bugs show up without the modem in the way.
+//
+// Multi-file:
+//   --bundle              send all files as one bundle with a manifest and check each file,
+//                         then drop one chunk and check that only the file(s) it covers are lost
+//
+// Encryption:
+//   --passphrase <text>   encrypt every file with this passphrase; decrypting with another one
+//                         must fail. Without it, the smallest file also makes one encrypted trip.
+//
+// Resume:
+//   --resume              pre-seed every other chunk as if kept by an earlier session, check that
+//                         the listener's REPAIR request lists exactly the others and that a
+//                         transfer of only those completes the file
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const sonic = require('./sonic-transfer.js');
+
+const SAMPLE_RATE = sonic.CONFIG.SAMPLE_RATE;
+
+// Channels start a quarter of the way into the band (4kHz in the audible band)
+function channelFrequencies() {
+    const base = sonic.CONFIG.FREQ_MIN + (sonic.CONFIG.FREQ_MAX - sonic.CONFIG.FREQ_MIN) / 4;
+    const frequencies = [];
+    for (let i = 0; i < sonic.CONFIG.NUM_CHANNELS; i++) {
+        frequencies.push(base + i * sonic.CONFIG.CHANNEL_SPACING);
+    }
+    return frequencies;
+}
+
+const OPTIONS = {
+    '--snr': ['snr', Number],
+    '--noise': ['noiseType', String],
+    '--reverb': ['reverbTime', Number],
+    '--reverb-level': ['reverbLevel', Number],
+    '--drift': ['clockOffsetPpm', Number],
+    '--dropouts': ['dropoutRate', Number],
+    '--dropout-ms': ['dropoutDuration', Number],
+    '--seed': ['seed', Number],
+    '--power': ['power', Number],
+    '--modulation': ['modulation', String],
+    '--band': ['band', String],
+    '--codec': ['codec', String],
+    '--passphrase': ['passphrase', String]
+};
+
+// Passphrase of the encrypted trip that runs when --passphrase is not given
+const DEFAULT_PASSPHRASE = 'loopback passphrase';
+
+function parseArgs(argv) {
+    const impairments = {};
+    const files = [];
+    let power = sonic.CONFIG.MAX_POWER;
+    let bundle = false;
+    let resume = false;
+    let passphrase = '';
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--bundle') {
+            bundle = true;
+            continue;
+        }
+        if (argv[i] === '--resume') {
+            resume = true;
+            continue;
+        }
+
+        const option = OPTIONS[argv[i]];
+        if (!option) {
+            files.push(argv[i]);
+            continue;
+        }
+
+        const [key, parse] = option;
+        const value = parse(argv[++i]);
+        if (value === undefined || (parse === Number && isNaN(value))) {
+            throw new Error(`Invalid value for ${argv[i - 1]}`);
+        }
+
+        if (key === 'power') {
+            power = value;
+        } else if (key === 'passphrase') {
+            passphrase = value;
+        } else if (key === 'modulation') {
+            if (!sonic.MODULATIONS[value]) {
+                throw new Error(`Unknown modulation ${value}`);
+            }
+            sonic.CONFIG.MODULATION = value;
+        } else if (key === 'band') {
+            if (!sonic.FREQUENCY_BANDS[value]) {
+                throw new Error(`Unknown band ${value}`);
+            }
+            sonic.applyFrequencyBand(value);
+        } else if (key === 'codec') {
+            if (value !== 'auto' && !sonic.COMPRESSION_CODECS[value]) {
+                throw new Error(`Unknown codec ${value}`);
+            }
+            sonic.CONFIG.COMPRESSION_CODEC = value;
+        } else {
+            impairments[key] = value;
+        }
+    }
+
+    return { files, power, impairments, bundle, resume, passphrase };
+}
+
+// Random bytes, biased towards 0xFF and 0x00 by `escapeBias`, with some of it repeated so
+// match tokens are emitted next to escaped literals
+function randomBytes(random, length, escapeBias) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        const r = random();
+        if (r < escapeBias) {
+            bytes[i] = 0xFF;
+        } else if (r < escapeBias * 1.5) {
+            bytes[i] = 0x00;
+        } else if (i > 64 && r < escapeBias * 1.5 + 0.3) {
+            bytes[i] = bytes[i - 1 - Math.floor(random() * 64)];
+        } else {
+            bytes[i] = Math.floor(random() * 256);
+        }
+    }
+    return bytes;
+}
+
+// Compresses and decompresses with LZCompressor directly (with and without a dictionary);
+// returns the number of inputs that did not come back unchanged
+function checkLZRoundTrip(seed, files) {
+    const random = sonic.createRandom(seed);
+    const lz = new sonic.LZCompressor();
+    const dictionary = randomBytes(random, 512, 0.2);
+    const inputs = [
+        { name: 'empty', bytes: new Uint8Array(0) },
+        { name: '0xFF run', bytes: new Uint8Array(1000).fill(0xFF) },
+        { name: '0xFF 0x00 pairs', bytes: new Uint8Array(1000).map((_, i) => i % 2 ? 0x00 : 0xFF) }
+    ];
+    for (const bias of [0, 0.05, 0.3, 0.8]) {
+        for (const length of [1, 7, 300, 5000]) {
+            inputs.push({ name: `random ${length}B, ${bias * 100}% 0xFF`, bytes: randomBytes(random, length, bias) });
+        }
+    }
+    for (const file of files) {
+        inputs.push({ name: path.basename(file), bytes: new Uint8Array(fs.readFileSync(file)) });
+    }
+
+    let failures = 0;
+    for (const input of inputs) {
+        for (const dict of [new Uint8Array(0), dictionary]) {
+            const restored = lz.decompress(lz.compress(input.bytes, dict), dict);
+            if (Buffer.compare(Buffer.from(restored), Buffer.from(input.bytes)) !== 0) {
+                console.log(`❌ LZ round trip of ${input.name}${dict.length > 0 ? ' with dictionary' : ''} differs`);
+                failures++;
+            }
+        }
+    }
+    console.log(`${failures === 0 ? '✅' : '❌'} LZ round trip: ${inputs.length * 2 - failures}/${inputs.length * 2} inputs\n`);
+    return failures;
+}
+
+// Steps RateController through SNR reports and lost packets, round-trips RATE frames and
+// decodes a transfer of `original` that changes rate twice; returns the number of failed checks
+async function checkRateControl(name, original) {
+    const checks = [];
+    const expect = (label, actual, wanted) => checks.push({ label, passed: actual === wanted, actual, wanted });
+    const { RATE_PROFILES: profiles, CONFIG: config } = sonic;
+    const base = profiles.findIndex(profile => profile.modulation === 'fsk2' &&
+        profile.channels === config.NUM_CHANNELS && profile.symbolDuration === config.SYMBOL_DURATION);
+    const reportSNR = (controller, snr) => {
+        for (let i = 0; i < config.RATE_WINDOW; i++) controller.recordSNR(snr);
+    };
+
+    const controller = new sonic.RateController();
+    controller.start('fsk2', false);
+    expect('no ACKs: fixed rate', controller.proposal(), null);
+    controller.start('dpsk', true);
+    expect('DQPSK: fixed rate', controller.proposal(), null);
+
+    controller.start('fsk2', true);
+    expect('starts on the base chord', controller.level, base);
+    controller.recordSNR(40);
+    expect('waits for a full window', controller.proposal(), null);
+    reportSNR(controller, profiles[base + 1].minSNR + config.RATE_HYSTERESIS);
+    expect('steps up with headroom', controller.proposal(), base + 1);
+    reportSNR(controller, profiles[base + 1].minSNR + config.RATE_HYSTERESIS - 1);
+    expect('hysteresis holds', controller.proposal(), null);
+    reportSNR(controller, profiles[base].minSNR - 1);
+    expect('steps down below minSNR', controller.proposal(), base - 1);
+
+    controller.apply(base);
+    for (let i = 1; i < config.RATE_FAILURES; i++) controller.recordResult(false);
+    controller.recordResult(true);
+    controller.recordResult(false);
+    expect('an ACK resets the failure count', controller.proposal(), null);
+    for (let i = 1; i < config.RATE_FAILURES; i++) controller.recordResult(false);
+    expect('repeated failures step down', controller.proposal(), base - 1);
+
+    controller.apply(0);
+    for (let i = 0; i < config.RATE_FAILURES; i++) controller.recordResult(false);
+    expect('failures on the slowest profile re-announce it', controller.proposal(), 0);
+
+    // The slowest profile concentrates power and integrates longer, so its reports are rescaled down
+    const slowest = profiles[0];
+    const gain = 10 * Math.log10((config.NUM_CHANNELS / slowest.channels) * (slowest.symbolDuration / config.SYMBOL_DURATION));
+    const stepUp = profiles[1].minSNR + config.RATE_HYSTERESIS;
+    controller.apply(0);
+    reportSNR(controller, stepUp + gain - 0.5);
+    expect('rescaled SNR below the step-up point', controller.proposal(), null);
+    reportSNR(controller, stepUp + gain + 0.5);
+    expect('rescaled SNR above the step-up point', controller.proposal(), 1);
+
+    profiles.forEach((profile, level) => {
+        const frame = sonic.parseFrame(sonic.buildRateFrame(profile, level));
+        const parsed = sonic.parseRateFrame(frame, config.NUM_CHANNELS);
+        expect(`RATE frame of profile ${level}`, sonic.isSameRateProfile(parsed, profile) && frame.seq === level, true);
+    });
+    const top = profiles[profiles.length - 1];
+    expect('RATE frame with more channels than announced', sonic.parseRateFrame(
+        sonic.parseFrame(sonic.buildRateFrame(top, 0)), top.channels - 1), null);
+    expect('RATE frame with a non-FSK modulation', sonic.parseRateFrame(
+        sonic.parseFrame(sonic.buildRateFrame({ ...top, modulation: 'dpsk' }, 0)), config.NUM_CHANNELS), null);
+    const damaged = sonic.buildRateFrame(top, 0);
+    damaged[6] ^= 0x01;
+    expect('RATE frame failing its CRC', sonic.parseRateFrame(sonic.parseFrame(damaged), config.NUM_CHANNELS), null);
+
+    // The decoder follows RATE frames: up to the fastest profile, then down to the slowest
+    const { metadata, payload } = await sonic.prepareTransfer(original, name);
+    const third = Math.max(1, Math.floor(metadata.chunks / 3));
+    const received = sonic.decodeTransmission(sonic.renderTransfer(metadata, payload, {
+        sampleRate: SAMPLE_RATE,
+        frequencies: channelFrequencies(),
+        rates: { [third]: top, [2 * third]: slowest }
+    }), SAMPLE_RATE);
+    const missing = sonic.findMissingChunks(received.chunks, metadata.chunks);
+    expect('transfer switching rate decodes every chunk', missing.join(', '), '');
+    if (missing.length === 0) {
+        const unpacked = await sonic.unpackPayload(sonic.assembleChunks(received.chunks, metadata.chunks), received.metadata);
+        expect('transfer switching rate verifies', unpacked.verified, true);
+    }
+
+    const failed = checks.filter(check => !check.passed);
+    for (const check of failed) {
+        console.log(`❌ Rate check "${check.label}" gave ${JSON.stringify(check.actual)} instead of ${JSON.stringify(check.wanted)}`);
+    }
+    console.log(`${failed.length === 0 ? '✅' : '❌'} Rate control: ${checks.length - failed.length}/${checks.length} checks\n`);
+    return failed.length;
+}
+
+// A changed copy of a META field's value (or a value for a field the transfer left out)
+function tamperedValue(value) {
+    if (value === undefined) return 1;
+    if (typeof value === 'string') return value + 'x';
+    if (typeof value === 'number' || typeof value === 'boolean') return Number(value) + 1;
+    return { ...value, tampered: true };
+}
+
+// Signs a transfer of `original`, sends it through the modem and checks the listener's
+// signature verdicts; returns the number of checks that failed
+async function checkSigning(name, original) {
+    const checks = [];
+    const sign = async (passphrase) => {
+        const { metadata, payload } = await sonic.prepareTransfer(original, name, { sign: true, passphrase });
+        const received = sonic.decodeTransmission(sonic.renderTransfer(metadata, payload, {
+            sampleRate: SAMPLE_RATE,
+            frequencies: channelFrequencies()
+        }), SAMPLE_RATE);
+        if (!received.metadata || sonic.findMissingChunks(received.chunks, received.metadata.chunks).length > 0) {
+            throw new Error('signed transfer did not decode');
+        }
+        const bytes = sonic.assembleChunks(received.chunks, received.metadata.chunks, sonic.assembledSize(received.metadata));
+        return { metadata: received.metadata, bytes: bytes.slice(0, received.metadata.size) };
+    };
+    const verdict = async (metadata, bytes) =>
+        sonic.verifyTransferSignature(await sonic.signedMetaBytes(metadata, bytes), metadata.signature);
+    const expect = (label, status, prefix) => checks.push({ label, passed: status.startsWith(prefix), status });
+
+    for (const passphrase of ['', DEFAULT_PASSPHRASE]) {
+        const kind = passphrase ? 'encrypted' : 'plain';
+        const { metadata, bytes } = await sign(passphrase);
+
+        expect(`${kind}, untrusted key`, await verdict(metadata, bytes), '❓ Unknown signer');
+
+        const fingerprint = await sonic.trustedKeys.addKey('loopback', sonic.signingIdentity.exportPublicKey());
+        expect(`${kind}, trusted key`, await verdict(metadata, bytes), '✅ Signed by loopback');
+
+        for (const field of sonic.SIGNED_META_FIELDS) {
+            const changed = { ...metadata, [field]: tamperedValue(metadata[field]) };
+            expect(`${kind}, ${field} changed`, await verdict(changed, bytes), '❌ Invalid signature');
+        }
+        const flipped = bytes.slice();
+        flipped[flipped.length >> 1] ^= 0x01;
+        expect(`${kind}, payload byte changed`, await verdict(metadata, flipped), '❌ Invalid signature');
+
+        sonic.trustedKeys.removeKey(fingerprint);
+    }
+
+    const failed = checks.filter(check => !check.passed);
+    for (const check of failed) {
+        console.log(`❌ Signature check "${check.label}" gave: ${check.status}`);
+    }
+    console.log(`${failed.length === 0 ? '✅' : '❌'} Signatures: ${checks.length - failed.length}/${checks.length} checks\n`);
+    return failed.length;
+}
+
+function defaultFiles() {
+    const dir = path.join(__dirname, 'test-files');
+    return fs.readdirSync(dir).map(name => path.join(dir, name));
+}
+
+// Sends `original` (or, with `bundleFiles`, a bundle of those files) through the modem and
+// compares what comes out
+async function roundTrip(name, original, power, simulator, bundleFiles = null, passphrase = '') {
+    const bundle = bundleFiles ? await sonic.buildBundle(bundleFiles) : null;
+    const { metadata, payload } = await sonic.prepareTransfer(bundle ? bundle.bytes : original, name, { bundle, passphrase });
+
+    let samples = sonic.renderTransfer(metadata, payload, {
+        sampleRate: SAMPLE_RATE,
+        frequencies: channelFrequencies(),
+        power: power
+    });
+
+    if (simulator) {
+        samples = simulator.apply(samples, SAMPLE_RATE);
+    }
+
+    const started = Date.now();
+    const received = sonic.decodeTransmission(samples, SAMPLE_RATE);
+    const decodeSeconds = (Date.now() - started) / 1000;
+
+    const result = {
+        name: name,
+        chunks: metadata.chunks,
+        receivedChunks: received.chunks.size,
+        audioSeconds: samples.length / SAMPLE_RATE,
+        decodeSeconds: decodeSeconds,
+        error: null
+    };
+
+    if (!received.metadata) {
+        result.error = 'metadata not decoded';
+    } else {
+        const missing = sonic.findMissingChunks(received.chunks, received.metadata.chunks);
+        const unpacked = missing.length > 0 ? null : await openPayload(sonic.assembleChunks(received.chunks,
+            received.metadata.chunks, sonic.assembledSize(received.metadata)), received.metadata, passphrase);
+
+        if (missing.length > 0) {
+            result.error = `missing chunks ${missing.join(', ')}`;
+        } else if (unpacked.error) {
+            result.error = unpacked.error;
+        } else if (bundleFiles) {
+            const files = await sonic.unpackBundle(unpacked.bytes);
+            const differing = bundleFiles.filter((file, i) => !files[i] || !files[i].verified ||
+                Buffer.compare(Buffer.from(files[i].bytes), Buffer.from(file.bytes)) !== 0);
+            if (!unpacked.verified || files.length !== bundleFiles.length || differing.length > 0) {
+                result.error = `decoded bundle differs from the original (${differing.map(file => file.path).join(', ')})`;
+            } else if (received.metadata.encryption) {
+                result.note = 'no partial-bundle check: a partial ciphertext cannot be decrypted';
+            } else {
+                await checkPartialBundle(bundle, received, result);
+            }
+        } else if (!unpacked.verified || Buffer.compare(Buffer.from(unpacked.bytes), Buffer.from(original)) !== 0) {
+            result.error = 'decoded file differs from the original';
+        }
+    }
+
+    if (metadata.encryption && !result.error) {
+        result.note = [result.note, 'encrypted, wrong passphrase rejected'].filter(Boolean).join('; ');
+    }
+    return result;
+}
+
+// Decrypts (when encrypted) and decompresses a received payload like the listener does,
+// checking first that another passphrase is rejected. Returns unpackPayload's result, or
+// { error } when decryption does not behave.
+async function openPayload(bytes, metadata, passphrase) {
+    let expectedHash = metadata.sha256;
+    if (metadata.encryption) {
+        const wrong = await sonic.decryptTransferPayload(bytes, metadata, passphrase + ' (wrong)').then(() => true, () => false);
+        if (wrong) {
+            return { error: 'a wrong passphrase decrypted the payload' };
+        }
+        try {
+            const decrypted = await sonic.decryptTransferPayload(bytes, metadata, passphrase);
+            bytes = decrypted.bytes;
+            expectedHash = decrypted.expectedHash;
+        } catch (e) {
+            return { error: `decryption failed: ${e.message}` };
+        }
+    }
+    return sonic.unpackPayload(bytes, metadata, expectedHash);
+}
+
+// Sends only the chunks a resuming listener asks for and checks that, merged with the ones
+// it kept, they give back the original
+async function resumeTrip(name, original, power, simulator, bundleFiles = null, passphrase = '') {
+    const { metadata, payload } = await sonic.prepareTransfer(original, name, { passphrase });
+    const chunkSize = sonic.CONFIG.CHUNK_SIZE;
+
+    const kept = new Map();
+    for (let i = 0; i < metadata.chunks; i += 2) {
+        kept.set(i, payload.slice(i * chunkSize, (i + 1) * chunkSize));
+    }
+
+    const request = sonic.parseFrame(sonic.buildResumeRequest(kept, metadata.chunks));
+    const requested = sonic.decodeChunkBitmap(request.body, metadata.chunks);
+    const expected = sonic.findMissingChunks(kept, metadata.chunks);
+
+    let samples = sonic.renderTransfer(metadata, payload, {
+        sampleRate: SAMPLE_RATE,
+        frequencies: channelFrequencies(),
+        power: power,
+        chunks: requested
+    });
+
+    if (simulator) {
+        samples = simulator.apply(samples, SAMPLE_RATE);
+    }
+
+    const started = Date.now();
+    const received = sonic.decodeTransmission(samples, SAMPLE_RATE);
+    const result = {
+        name: name,
+        chunks: requested.length,
+        receivedChunks: received.chunks.size,
+        audioSeconds: samples.length / SAMPLE_RATE,
+        decodeSeconds: (Date.now() - started) / 1000,
+        error: null,
+        note: `resumed with ${kept.size}/${metadata.chunks} chunks kept`
+    };
+
+    const chunks = new Map([...kept, ...received.chunks]);
+    const missing = sonic.findMissingChunks(chunks, metadata.chunks);
+
+    if (requested.join(',') !== expected.join(',')) {
+        result.error = `resume request lists chunks ${requested.join(', ')} instead of ${expected.join(', ')}`;
+    } else if ([...received.chunks.keys()].some(index => kept.has(index))) {
+        result.error = 'a kept chunk was sent again';
+    } else if (missing.length > 0) {
+        result.error = `missing chunks ${missing.join(', ')}`;
+    } else {
+        const unpacked = await openPayload(sonic.assembleChunks(chunks, metadata.chunks), metadata, passphrase);
+        if (unpacked.error) {
+            result.error = unpacked.error;
+        } else if (!unpacked.verified || Buffer.compare(Buffer.from(unpacked.bytes), Buffer.from(original)) !== 0) {
+            result.error = 'resumed file differs from the original';
+        }
+    }
+
+    if (metadata.encryption && !result.error) {
+        result.note += '; encrypted, wrong passphrase rejected';
+    }
+    return result;
+}
+
+// Drops the chunk in the middle of the bundle's file data: the file(s) it covers must come
+// back unverified and every other file intact, since missing chunks are left as gaps
+async function checkPartialBundle(bundle, received, result) {
+    const manifest = sonic.parseBundleManifest(bundle.bytes);
+    const chunkSize = sonic.CONFIG.CHUNK_SIZE;
+    const dataStart = 4 + manifest.length;
+    const dropped = Math.floor((dataStart + bundle.bytes.length) / 2 / chunkSize);
+
+    const chunks = new Map(received.chunks);
+    chunks.delete(dropped);
+    const files = await sonic.unpackBundle(
+        sonic.assembleChunks(chunks, received.metadata.chunks, sonic.assembledSize(received.metadata)));
+
+    const wrong = manifest.files.filter((entry, i) => {
+        const range = sonic.bundleEntryRange(manifest, entry);
+        const covered = range.start < (dropped + 1) * chunkSize && range.end > dropped * chunkSize;
+        return files[i].verified === covered;
+    });
+
+    if (wrong.length > 0) {
+        result.error = `dropping chunk ${dropped} gave the wrong verified files (${wrong.map(entry => entry.path).join(', ')})`;
+    } else {
+        result.note = `chunk ${dropped} dropped: ${files.filter(file => file.verified).length}/${files.length} files still verified`;
+    }
+}
+
+function report(result) {
+    const timing = `${result.receivedChunks}/${result.chunks} chunks, ${result.audioSeconds.toFixed(1)}s audio, decoded in ${result.decodeSeconds.toFixed(1)}s`;
+
+    if (result.error) {
+        console.log(`❌ ${result.name}: ${result.error} (${timing})`);
+    } else {
+        console.log(`✅ ${result.name} (${timing})`);
+    }
+    if (result.note) {
+        console.log(`   ${result.note}`);
+    }
+    return !result.error;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const files = args.files.length > 0 ? args.files : defaultFiles();
+    const simulator = Object.keys(args.impairments).length > 0 ? new sonic.ChannelSimulator(args.impairments) : null;
+    let failures = 0;
+
+    console.log(`Modulation: ${sonic.MODULATIONS[sonic.CONFIG.MODULATION].name}`);
+    console.log(`Band: ${sonic.FREQUENCY_BANDS[sonic.CONFIG.FREQUENCY_BAND].name}`);
+    console.log(`Codec: ${sonic.CONFIG.COMPRESSION_CODEC}`);
+    if (simulator) {
+        console.log(`Channel impairments: ${JSON.stringify(simulator.options)}`);
+    }
+    console.log('');
+
+    const smallest = files.reduce((a, b) => fs.statSync(b).size < fs.statSync(a).size ? b : a);
+    const lzFailures = checkLZRoundTrip(args.impairments.seed || 1, files);
+    const signingFailures = await checkSigning(path.basename(smallest), new Uint8Array(fs.readFileSync(smallest)));
+    const rateFailures = await checkRateControl(path.basename(smallest), new Uint8Array(fs.readFileSync(smallest)));
+    const checksPassed = lzFailures === 0 && signingFailures === 0 && rateFailures === 0;
+
+    if (args.bundle) {
+        const bundleFiles = files.map(file => ({ path: path.basename(file), bytes: new Uint8Array(fs.readFileSync(file)) }));
+        const passed = report(await roundTrip(`${files.length} files`, null, args.power, simulator, bundleFiles, args.passphrase));
+        console.log(`\nBundle of ${files.length} files ${passed ? 'round-tripped' : 'failed'}`);
+        process.exit(passed && checksPassed ? 0 : 1);
+    }
+
+    const trip = args.resume ? resumeTrip : roundTrip;
+    const trips = files.map(file => ({ file: file, name: path.basename(file), passphrase: args.passphrase }));
+    if (!args.passphrase) {
+        trips.push({ file: smallest, name: `${path.basename(smallest)} (encrypted)`, passphrase: DEFAULT_PASSPHRASE });
+    }
+    for (const { file, name, passphrase } of trips) {
+        const original = new Uint8Array(fs.readFileSync(file));
+        if (!report(await trip(name, original, args.power, simulator, null, passphrase))) {
+            failures++;
+        }
+    }
+
+    console.log(`\n${trips.length - failures}/${trips.length} transfers round-tripped`);
+    process.exit(failures > 0 || !checksPassed ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
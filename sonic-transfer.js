@@ -10,35 +10,60 @@ const CONFIG = {
     SAMPLE_RATE: 44100,
     FFT_SIZE: 8192,
 
-    // Frequency configuration
+    // Frequency configuration (FREQ_MIN, FREQ_MAX and BEACON_FREQ follow FREQUENCY_BAND)
+    FREQUENCY_BAND: 'audible',  // 'audible' (2-10kHz) or 'ultrasonic' (17-20kHz), see FREQUENCY_BANDS
     FREQ_MIN: 2000,
     FREQ_MAX: 10000,
     NUM_CHANNELS: 4,
-    CHANNEL_SPACING: 400,
+    CHANNEL_SPACING: 400,  // Minimum distance between two channel frequencies
+
+    // Handshake beacon: fixed tone below the data band announcing the sender's channels
+    BEACON_FREQ: 1600,
+    BEACON_SYMBOL_DURATION: 20,
 
     // Modulation
     FSK_DEVIATION: 100,
     SYMBOL_DURATION: 40,
+    MODULATION: 'fsk2',  // DATA/END frames: 'fsk2', 'fsk4', 'fsk8', 'dpsk' or 'ofdm' (META, beacon and replies always use fsk2)
+
+    // OFDM (MODULATION: 'ofdm') - subcarriers fill FREQ_MIN..FREQ_MAX
+    OFDM_FFT_SIZE: 1024,  // IFFT size; subcarrier spacing = sample rate / OFDM_FFT_SIZE (~43 Hz at 44.1kHz)
+    OFDM_CYCLIC_PREFIX: 256,  // samples of each symbol's tail repeated in front of it
+    OFDM_PILOT_SPACING: 8,  // every 8th enabled subcarrier carries a known pilot
+    OFDM_NOISE_MARGIN: 6,  // dB above the band's median noise floor before a subcarrier is disabled
 
     // Transmission
     CHUNK_SIZE: 64,
     PREAMBLE_DURATION: 800,
-    PACKET_DELAY: 10,
+    PACKET_DELAY: 80,  // >= 2 symbols of silence so the receiver re-locks timing on every frame
 
     // Reception
     SIGNAL_THRESHOLD: 80,
+    MAX_FRAME_BODY: 4096,  // Larger length fields are treated as a false sync
+    CAPTURE_BLOCK_SIZE: 2048,  // Samples per block handed from the capture node to the demodulator
     CALIBRATION_DURATION: 3000,
     MIN_SNR: 10,
 
     // Error correction & retry
     USE_CHECKSUM: true,
     USE_REDUNDANCY: false,  // Disabled - using ACK/NACK instead
+    USE_FEC: true,  // Reed-Solomon parity on every DATA chunk
+    FEC_PARITY_BYTES: 16,  // RS(80,64): corrects up to 8 bad bytes per chunk
+    USE_ACK: true,  // Wait for receiver ACK/NACK after each packet (disable for one-way broadcast)
     MAX_RETRIES: 3,
-    ACK_TIMEOUT: 1000,  // ms to wait for ACK
+    ACK_TIMEOUT: 1500,  // ms to wait for ACK (an ACK frame alone takes ~1s on air)
+    ACK_TURNAROUND: 150,  // ms receiver waits before replying so the sender can switch to listening
+    USE_REPAIR: true,  // Receiver requests missing chunks after END (selective repeat)
+    REPAIR_WINDOW: 6000,  // ms the sender listens for a repair request after END
+    MAX_REPAIR_ROUNDS: 5,
+    RESUME_TRANSFERS: true,  // Keep partial transfers in IndexedDB so a later session can resume them
+    RESUME_MAX_AGE: 7 * 24 * 60 * 60 * 1000,  // ms before a kept partial transfer is discarded
 
     // NEW: Compression
     USE_COMPRESSION: true,
     COMPRESSION_MIN_SIZE: 1024,  // Only compress files > 1KB
+    COMPRESSION_CODEC: 'auto',  // 'auto' (smallest on a sample of the file) or a COMPRESSION_CODECS id
+    COMPRESSION_SAMPLE_SIZE: 16384,  // Bytes from the start of the file used to pick the codec
 
     // NEW: Adaptive power
     ENABLE_ADAPTIVE_POWER: true,
@@ -46,10 +71,48 @@ const CONFIG = {
     MAX_POWER: 0.15,
     TARGET_SNR: 15,  // dB
 
+    // Adaptive data rate (chord modes with ACK): receiver-reported SNR steps RATE_PROFILES
+    ENABLE_ADAPTIVE_RATE: true,
+    RATE_WINDOW: 4,  // ACK SNR reports averaged before stepping up or down
+    RATE_HYSTERESIS: 3,  // dB above the next profile's minimum SNR before stepping up
+    RATE_FAILURES: 2,  // consecutive lost/NACKed packets that force a step down
+
     // NEW: Signal monitoring
     SNR_HISTORY_SIZE: 50,
+
+    // Encryption (AES-GCM with a PBKDF2-derived key)
+    PBKDF2_ITERATIONS: 150000,
+
+    // Speaker/microphone response sweep (see measureResponse). Always run in the
+    // near-ultrasonic band; ACTIVE_CALIBRATION also runs it in the audible band and uses
+    // the measured curve for channel selection and per-channel gain.
+    ACTIVE_CALIBRATION: false,
+    SWEEP_DURATION: 1500,  // ms of swept test tone across FREQ_MIN..FREQ_MAX
+    SWEEP_MIN_RESPONSE: 10,  // dB the sweep must rise above the noise floor...
+    SWEEP_MIN_COVERAGE: 0.75,  // ...in at least this fraction of the band
+    MAX_CHANNEL_GAIN: 4,  // Largest boost (linear) for a channel the speaker reproduces weakly
 };
 
+// Each band keeps its beacon just below its data range. Near-ultrasonic needs a speaker
+// and microphone that still respond at 17-20kHz, which calibration checks with a sweep.
+const FREQUENCY_BANDS = {
+    audible: { id: 'audible', name: 'Audible (2-10 kHz)', freqMin: 2000, freqMax: 10000, beaconFreq: 1600 },
+    ultrasonic: { id: 'ultrasonic', name: 'Near-ultrasonic (17-20 kHz)', freqMin: 17000, freqMax: 20000, beaconFreq: 16600 }
+};
+
+function getFrequencyBand(id = CONFIG.FREQUENCY_BAND) {
+    return FREQUENCY_BANDS[id] || FREQUENCY_BANDS.audible;
+}
+
+function applyFrequencyBand(id) {
+    const band = getFrequencyBand(id);
+    CONFIG.FREQUENCY_BAND = band.id;
+    CONFIG.FREQ_MIN = band.freqMin;
+    CONFIG.FREQ_MAX = band.freqMax;
+    CONFIG.BEACON_FREQ = band.beaconFreq;
+    return band;
+}
+
 // =============================================================================
 // GLOBAL STATE
 // =============================================================================
@@ -58,14 +121,22 @@ let audioContext = null;
 let mediaStream = null;
 let analyser = null;
 let scriptProcessor = null;
+let micSource = null;
+let captureNode = null;
 
 let currentMode = null;
 let optimalFrequencies = [];
 let calibrationData = [];
 let noiseFloor = [];
+let channelGains = new Map();  // Channel frequency -> relative transmit gain (missing = 1)
 
-let selectedFile = null;
+let selectedFiles = [];  // [{ file, path, message }]; more than one entry is sent as a bundle
+let codecEstimate = null;  // chooseCodec result for the start of the selection
 let receivedData = null;
+let receivedFiles = [];  // Unpacked bundle entries: [{ path, bytes, verified }]
+let receivedMessage = null;  // Text of a received message (META message flag)
+let bundleManifest = null;  // Manifest of the bundle being received, once its chunks are in
+let encryptedPayload = null;  // Kept after a failed decryption so the user can retry
 let receivedChunks = new Map();
 let expectedChunks = 0;
 let fileMetadata = null;
@@ -89,6 +160,17 @@ let ackReceived = false;
 let retryCount = 0;
 let chunkRetryMap = new Map();
 
+// Selective repeat: sender waits for repair requests, receiver tracks repair rounds
+let pendingRepair = null;
+let transferCancelled = false;
+let resumeRequested = false;  // The receiver's META ACK said it already holds chunks of this transfer
+let lastTransfer = null;  // { files, passphrase, sign, metadata, payload } of the last live send
+let handledEndRound = -1;
+let repairRound = 0;
+
+// Reed-Solomon decoder for the current transfer (parity count comes from META)
+let fecDecoder = null;
+
 // NEW: Signal monitoring
 let snrHistory = [];
 let currentSNR = 0;
@@ -97,93 +179,163 @@ let currentPower = 0.1;
 // NEW: Preset management
 const PRESET_STORAGE_KEY = 'sonicTransfer_presets';
 
+// Sender authentication
+const IDENTITY_STORAGE_KEY = 'sonicTransfer_identity';  // Legacy JWK copy, moved to IndexedDB
+const TRUSTED_KEYS_STORAGE_KEY = 'sonicTransfer_trustedKeys';
+const IDENTITY_DB_NAME = 'sonicTransfer_identity';
+
+// Resumable transfers
+const TRANSFER_DB_NAME = 'sonicTransfer_transfers';
+
 // =============================================================================
 // LZ77-BASED COMPRESSION
 // =============================================================================
 
+// Stream format after the 4-byte original size:
+//   any byte but 0xFF     literal
+//   0xFF 0x00             literal 0xFF
+//   0xFF len dist:2       copy len (minMatch..maxMatch) bytes from dist bytes back
+// Matches are found through hash chains over 3-byte prefixes, so each position only
+// visits up to maxChain earlier positions with the same prefix instead of the whole window.
+// An optional dictionary acts as data already seen: matches may point into it, but it is
+// not part of the stream, so both ends must use the same one.
 class LZCompressor {
     constructor() {
-        this.windowSize = 4096;
-        this.lookaheadSize = 18;
+        this.windowSize = 32768;
+        this.minMatch = 5;  // A match token is 4 bytes, so shorter matches do not pay off
+        this.maxMatch = 255;
+        this.maxChain = 64;
+        this.hashBits = 15;
     }
 
-    compress(data) {
-        const input = new Uint8Array(data);
-        const output = [];
-        let pos = 0;
+    hash(input, pos) {
+        const value = (input[pos] << 16) | (input[pos + 1] << 8) | input[pos + 2];
+        return (Math.imul(value, 0x9E3779B1) >>> (32 - this.hashBits));
+    }
+
+    compress(data, dictionary = new Uint8Array(0)) {
+        const input = new Uint8Array(dictionary.length + data.length);
+        input.set(dictionary);
+        input.set(new Uint8Array(data), dictionary.length);
+        const size = data.length;
+        // Worst case: every byte is an escaped 0xFF
+        const output = new Uint8Array(4 + size * 2);
+        let out = 0;
 
         // Header: original size (4 bytes)
-        output.push((input.length >> 24) & 0xFF);
-        output.push((input.length >> 16) & 0xFF);
-        output.push((input.length >> 8) & 0xFF);
-        output.push(input.length & 0xFF);
+        output[out++] = (size >>> 24) & 0xFF;
+        output[out++] = (size >> 16) & 0xFF;
+        output[out++] = (size >> 8) & 0xFF;
+        output[out++] = size & 0xFF;
+
+        const head = new Int32Array(1 << this.hashBits).fill(-1);
+        const prev = new Int32Array(this.windowSize);
+        const windowMask = this.windowSize - 1;
+
+        const insert = (pos) => {
+            if (pos + 2 >= input.length) return;
+            const h = this.hash(input, pos);
+            prev[pos & windowMask] = head[h];
+            head[h] = pos;
+        };
 
+        for (let i = 0; i < dictionary.length; i++) {
+            insert(i);
+        }
+
+        let pos = dictionary.length;
         while (pos < input.length) {
             let matchLength = 0;
             let matchDistance = 0;
 
-            // Search for longest match in window
-            const searchStart = Math.max(0, pos - this.windowSize);
-            const searchEnd = pos;
-
-            for (let i = searchStart; i < searchEnd; i++) {
-                let length = 0;
-                while (length < this.lookaheadSize &&
-                       pos + length < input.length &&
-                       input[i + length] === input[pos + length]) {
-                    length++;
-                }
-
-                if (length > matchLength) {
-                    matchLength = length;
-                    matchDistance = pos - i;
+            if (pos + this.minMatch <= input.length) {
+                const maxLength = Math.min(this.maxMatch, input.length - pos);
+                let candidate = head[this.hash(input, pos)];
+                let chain = this.maxChain;
+
+                while (candidate >= 0 && pos - candidate < this.windowSize && chain-- > 0) {
+                    // Cheap reject: a longer match must also agree at the current best length
+                    if (input[candidate + matchLength] === input[pos + matchLength]) {
+                        let length = 0;
+                        while (length < maxLength && input[candidate + length] === input[pos + length]) {
+                            length++;
+                        }
+                        if (length > matchLength) {
+                            matchLength = length;
+                            matchDistance = pos - candidate;
+                            if (length === maxLength) break;
+                        }
+                    }
+                    candidate = prev[candidate & windowMask];
                 }
             }
 
-            if (matchLength >= 3) {
-                // Encode as (distance, length)
-                output.push(0xFF);  // Marker for match
-                output.push((matchDistance >> 8) & 0xFF);
-                output.push(matchDistance & 0xFF);
-                output.push(matchLength);
+            if (matchLength >= this.minMatch) {
+                output[out++] = 0xFF;
+                output[out++] = matchLength;
+                output[out++] = (matchDistance >> 8) & 0xFF;
+                output[out++] = matchDistance & 0xFF;
+                for (let i = 0; i < matchLength; i++) {
+                    insert(pos + i);
+                }
                 pos += matchLength;
             } else {
-                // Literal byte
-                output.push(input[pos]);
+                output[out++] = input[pos];
+                if (input[pos] === 0xFF) {
+                    output[out++] = 0x00;
+                }
+                insert(pos);
                 pos++;
             }
         }
 
-        return new Uint8Array(output);
+        return output.slice(0, out);
     }
 
-    decompress(data) {
+    decompress(data, dictionary = new Uint8Array(0)) {
         const input = new Uint8Array(data);
+        if (input.length < 4) {
+            throw new Error('LZ stream too short');
+        }
+
+        // The dictionary sits in front of the output so matches can reach back into it
+        const originalSize = dictionary.length +
+            (((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) >>> 0);
+        const output = new Uint8Array(originalSize);
+        output.set(dictionary);
+        let out = dictionary.length;
         let pos = 4;  // Skip header
 
-        // Read original size
-        const originalSize = (input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3];
-        const output = [];
+        while (pos < input.length && out < originalSize) {
+            if (input[pos] !== 0xFF) {
+                output[out++] = input[pos++];
+                continue;
+            }
+
+            const length = input[pos + 1];
+            if (length === 0) {
+                output[out++] = 0xFF;
+                pos += 2;
+                continue;
+            }
 
-        while (pos < input.length && output.length < originalSize) {
-            if (input[pos] === 0xFF && pos + 3 < input.length) {
-                // Match
-                const distance = (input[pos + 1] << 8) | input[pos + 2];
-                const length = input[pos + 3];
-                pos += 4;
+            const distance = (input[pos + 2] << 8) | input[pos + 3];
+            if (pos + 3 >= input.length || distance === 0 || distance > out || out + length > originalSize) {
+                throw new Error('Corrupt LZ match');
+            }
+            pos += 4;
 
-                const matchStart = output.length - distance;
-                for (let i = 0; i < length; i++) {
-                    output.push(output[matchStart + i]);
-                }
-            } else {
-                // Literal
-                output.push(input[pos]);
-                pos++;
+            // Byte by byte: a match may overlap the bytes it produces
+            for (let i = 0; i < length; i++) {
+                output[out] = output[out - distance];
+                out++;
             }
         }
 
-        return new Uint8Array(output.slice(0, originalSize));
+        if (out !== originalSize) {
+            throw new Error(`LZ stream ended after ${out - dictionary.length} of ${originalSize - dictionary.length} bytes`);
+        }
+        return output.subarray(dictionary.length);
     }
 
     getCompressionRatio(original, compressed) {
@@ -193,6 +345,475 @@ class LZCompressor {
 
 const compressor = new LZCompressor();
 
+// Tokens that keep turning up in JSON and CSV files, for the `dict` codec. Never change
+// it without a new codec id: receivers need exactly the dictionary the sender used.
+const COMPRESSION_DICTIONARY = new TextEncoder().encode([
+    'http://', 'https://', 'www.', '.com', 'T00:00:00Z', '2024-', '2025-', '2026-',
+    'id,name,type,value,date,time,status,count,total,description\r\n',
+    '"description": "', '"timestamp": "', '"version": "', '"created": "', '"updated": "',
+    '"status": "', '"title": "', '"email": "', '"url": "', '"message": "', '"error": ',
+    '"count": ', '"total": ', '"value": ', '"items": [', '"data": [', '"type": "',
+    '"enabled": true', '"enabled": false', ': null', ': true', ': false',
+    '"name": "', '"id": ', '": {\n', '": [\n', '",\n', '\n  ],\n', '\n    },\n    {\n      "'
+].join(''));
+
+// Line delta plus run-length coding for row-structured text (CSV, JSON, logs). Each line
+// is stored as its difference to the previous one:
+//   varint prefix, varint suffix, varint length, middle bytes
+// where prefix/suffix count the bytes shared with the start/end of the previous line.
+// That stream is then run-length coded after the 4-byte original size:
+//   any byte but 0xFF     literal
+//   0xFF 0x00             literal 0xFF
+//   0xFF n byte           n + 3 copies of byte (runs of 4..258)
+class DeltaRleCompressor {
+    compress(data) {
+        const input = new Uint8Array(data);
+        const delta = [];
+        const writeVarint = (value) => {
+            while (value >= 0x80) {
+                delta.push((value & 0x7F) | 0x80);
+                value >>>= 7;
+            }
+            delta.push(value);
+        };
+
+        let previous = new Uint8Array(0);
+        let start = 0;
+        while (start <= input.length) {
+            let end = input.indexOf(0x0A, start);
+            if (end === -1) end = input.length;
+            const line = input.subarray(start, end);
+
+            let prefix = 0;
+            while (prefix < line.length && prefix < previous.length && line[prefix] === previous[prefix]) {
+                prefix++;
+            }
+            let suffix = 0;
+            while (suffix < line.length - prefix && suffix < previous.length - prefix &&
+                   line[line.length - 1 - suffix] === previous[previous.length - 1 - suffix]) {
+                suffix++;
+            }
+
+            writeVarint(prefix);
+            writeVarint(suffix);
+            writeVarint(line.length - prefix - suffix);
+            for (let i = prefix; i < line.length - suffix; i++) {
+                delta.push(line[i]);
+            }
+
+            previous = line;
+            start = end + 1;
+        }
+
+        const output = [(input.length >>> 24) & 0xFF, (input.length >> 16) & 0xFF, (input.length >> 8) & 0xFF, input.length & 0xFF];
+        for (let i = 0; i < delta.length;) {
+            let run = 1;
+            while (run < 258 && i + run < delta.length && delta[i + run] === delta[i]) {
+                run++;
+            }
+
+            if (run >= 4) {
+                output.push(0xFF, run - 3, delta[i]);
+                i += run;
+            } else {
+                output.push(delta[i]);
+                if (delta[i] === 0xFF) output.push(0x00);
+                i++;
+            }
+        }
+
+        return new Uint8Array(output);
+    }
+
+    decompress(data) {
+        const input = new Uint8Array(data);
+        if (input.length < 4) {
+            throw new Error('Delta stream too short');
+        }
+        const originalSize = ((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) >>> 0;
+
+        const delta = [];
+        for (let pos = 4; pos < input.length;) {
+            if (input[pos] !== 0xFF) {
+                delta.push(input[pos++]);
+            } else if (input[pos + 1] === 0x00) {
+                delta.push(0xFF);
+                pos += 2;
+            } else {
+                if (pos + 2 >= input.length) throw new Error('Corrupt delta run');
+                for (let i = 0; i < input[pos + 1] + 3; i++) {
+                    delta.push(input[pos + 2]);
+                }
+                pos += 3;
+            }
+        }
+
+        let pos = 0;
+        const readVarint = () => {
+            let value = 0;
+            for (let shift = 0; ; shift += 7) {
+                if (pos >= delta.length) throw new Error('Truncated delta line');
+                const byte = delta[pos++];
+                value += (byte & 0x7F) * Math.pow(2, shift);
+                if (byte < 0x80) return value;
+            }
+        };
+
+        const output = new Uint8Array(originalSize);
+        let out = 0;
+        let previous = new Uint8Array(0);
+        for (let lines = 0; pos < delta.length; lines++) {
+            if (lines > 0) {
+                if (out >= originalSize) throw new Error('Delta stream longer than announced');
+                output[out++] = 0x0A;
+            }
+
+            const prefix = readVarint();
+            const suffix = readVarint();
+            const length = readVarint();
+            if (prefix + suffix > previous.length || pos + length > delta.length) {
+                throw new Error('Corrupt delta line');
+            }
+
+            const line = new Uint8Array(prefix + length + suffix);
+            line.set(previous.subarray(0, prefix));
+            line.set(delta.slice(pos, pos + length), prefix);
+            line.set(previous.subarray(previous.length - suffix), prefix + length);
+            pos += length;
+
+            if (out + line.length > originalSize) throw new Error('Delta stream longer than announced');
+            output.set(line, out);
+            out += line.length;
+            previous = line;
+        }
+
+        if (out !== originalSize) {
+            throw new Error(`Delta stream ended after ${out} of ${originalSize} bytes`);
+        }
+        return output;
+    }
+}
+
+const deltaCompressor = new DeltaRleCompressor();
+
+// Runs bytes through a CompressionStream / DecompressionStream
+async function transformStream(data, stream) {
+    const transformed = new Blob([data]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(transformed).arrayBuffer());
+}
+
+function hasCompressionStreams() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+// Payload codecs; the one used travels in META as `codec` (absent when uncompressed).
+// deflate and gzip are the browser's native CompressionStream formats; textOnly codecs
+// are only tried on files that look like text (see chooseCodec).
+const COMPRESSION_CODECS = {
+    none: {
+        id: 'none',
+        name: 'Uncompressed',
+        available: () => true,
+        compress: async (data) => data,
+        decompress: async (data) => data
+    },
+    lz: {
+        id: 'lz',
+        name: 'LZ77',
+        available: () => true,
+        compress: async (data) => compressor.compress(data),
+        decompress: async (data) => compressor.decompress(data)
+    },
+    dict: {
+        id: 'dict',
+        name: 'LZ77 + JSON/CSV dictionary',
+        textOnly: true,
+        available: () => true,
+        compress: async (data) => compressor.compress(data, COMPRESSION_DICTIONARY),
+        decompress: async (data) => compressor.decompress(data, COMPRESSION_DICTIONARY)
+    },
+    delta: {
+        id: 'delta',
+        name: 'Line delta + RLE',
+        textOnly: true,
+        available: () => true,
+        compress: async (data) => deltaCompressor.compress(data),
+        decompress: async (data) => deltaCompressor.decompress(data)
+    },
+    deflate: {
+        id: 'deflate',
+        name: 'Deflate',
+        available: hasCompressionStreams,
+        compress: (data) => transformStream(data, new CompressionStream('deflate')),
+        decompress: (data) => transformStream(data, new DecompressionStream('deflate'))
+    },
+    gzip: {
+        id: 'gzip',
+        name: 'gzip',
+        available: hasCompressionStreams,
+        compress: (data) => transformStream(data, new CompressionStream('gzip')),
+        decompress: (data) => transformStream(data, new DecompressionStream('gzip'))
+    }
+};
+
+// No NUL bytes and hardly any control characters (UTF-8 multibyte sequences are fine)
+function looksLikeText(bytes) {
+    let control = 0;
+    for (const byte of bytes) {
+        if (byte === 0) return false;
+        if (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D) control++;
+    }
+    return control <= bytes.length / 100;
+}
+
+// Compresses `sample` (the first COMPRESSION_SAMPLE_SIZE bytes of a file) with every codec
+// that applies and returns the smallest: { codec, ratio, trials: [{ codec, size }] }
+async function chooseCodec(sample) {
+    const isText = looksLikeText(sample);
+    const trials = [];
+
+    for (const codec of Object.values(COMPRESSION_CODECS)) {
+        if (!codec.available() || (codec.textOnly && !isText)) continue;
+        trials.push({ codec: codec, size: (await codec.compress(sample)).length });
+    }
+
+    // Ties keep the earlier (simpler) codec
+    const best = trials.reduce((a, b) => b.size < a.size ? b : a);
+    return { codec: best.codec, ratio: sample.length > 0 ? best.size / sample.length : 1, trials: trials };
+}
+
+// The codec for a payload starting with `sample`: CONFIG.COMPRESSION_CODEC if it names one
+// (LZ77 when it needs CompressionStream and the browser lacks it), otherwise the codec trial.
+// Returns a chooseCodec result, without ratio and trials for a configured codec.
+async function resolveCodec(sample) {
+    const fixed = COMPRESSION_CODECS[CONFIG.COMPRESSION_CODEC];
+    if (!fixed) {
+        return chooseCodec(sample);
+    }
+    if (!fixed.available()) {
+        log(`${fixed.name} needs CompressionStream, which this browser lacks; using LZ77`, 'warning');
+        return { codec: COMPRESSION_CODECS.lz };
+    }
+    return { codec: fixed };
+}
+
+function describeCodecChoice(choice) {
+    if (choice.codec.id === 'none') return 'uncompressed';
+    return `${choice.codec.name}, ${Math.round((1 - choice.ratio) * 100)}% smaller`;
+}
+
+// =============================================================================
+// REED-SOLOMON FORWARD ERROR CORRECTION
+// =============================================================================
+
+// GF(2^8) arithmetic with primitive polynomial x^8 + x^4 + x^3 + x^2 + 1 (0x11D)
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(function initGaloisTables() {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDiv(a, b) {
+    if (b === 0) throw new Error('GF division by zero');
+    if (a === 0) return 0;
+    return GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
+}
+
+function gfPow(x, power) {
+    return GF_EXP[(((GF_LOG[x] * power) % 255) + 255) % 255];
+}
+
+function gfInverse(x) {
+    return GF_EXP[255 - GF_LOG[x]];
+}
+
+// Polynomials are plain arrays, highest-degree coefficient first
+function gfPolyScale(p, x) {
+    return p.map(c => gfMul(c, x));
+}
+
+function gfPolyAdd(p, q) {
+    const r = new Array(Math.max(p.length, q.length)).fill(0);
+    for (let i = 0; i < p.length; i++) r[i + r.length - p.length] = p[i];
+    for (let i = 0; i < q.length; i++) r[i + r.length - q.length] ^= q[i];
+    return r;
+}
+
+function gfPolyMul(p, q) {
+    const r = new Array(p.length + q.length - 1).fill(0);
+    for (let j = 0; j < q.length; j++) {
+        for (let i = 0; i < p.length; i++) {
+            r[i + j] ^= gfMul(p[i], q[j]);
+        }
+    }
+    return r;
+}
+
+function gfPolyEval(p, x) {
+    let y = p[0];
+    for (let i = 1; i < p.length; i++) {
+        y = gfMul(y, x) ^ p[i];
+    }
+    return y;
+}
+
+class ReedSolomonCodec {
+    constructor(paritySymbols) {
+        this.nsym = paritySymbols;
+
+        // Generator polynomial: product of (x - α^i) for i in [0, nsym)
+        let gen = [1];
+        for (let i = 0; i < paritySymbols; i++) {
+            gen = gfPolyMul(gen, [1, gfPow(2, i)]);
+        }
+        this.generator = gen;
+    }
+
+    // Systematic RS(k + nsym, k): returns the message followed by nsym parity bytes
+    encode(data) {
+        const message = new Uint8Array(data);
+        if (message.length + this.nsym > 255) {
+            throw new Error(`RS block too long: ${message.length} + ${this.nsym} > 255`);
+        }
+
+        const remainder = new Uint8Array(message.length + this.nsym);
+        remainder.set(message);
+
+        for (let i = 0; i < message.length; i++) {
+            const coef = remainder[i];
+            if (coef === 0) continue;
+            for (let j = 1; j < this.generator.length; j++) {
+                remainder[i + j] ^= gfMul(this.generator[j], coef);
+            }
+        }
+
+        const codeword = new Uint8Array(message.length + this.nsym);
+        codeword.set(message);
+        codeword.set(remainder.subarray(message.length), message.length);
+        return codeword;
+    }
+
+    // Returns { data, corrected } or null when the block has more than nsym/2 byte errors
+    decode(codeword) {
+        const received = Array.from(codeword);
+        if (received.length <= this.nsym) return null;
+
+        const synd = this.calculateSyndromes(received);
+        if (synd.every(s => s === 0)) {
+            return { data: new Uint8Array(received.slice(0, -this.nsym)), corrected: 0 };
+        }
+
+        const errLoc = this.findErrorLocator(synd);
+        if (!errLoc) return null;
+
+        const errPos = this.findErrors(errLoc.slice().reverse(), received.length);
+        if (!errPos) return null;
+
+        const corrected = this.correctErrata(received, synd, errPos);
+        if (this.calculateSyndromes(corrected).some(s => s !== 0)) return null;
+
+        return { data: new Uint8Array(corrected.slice(0, -this.nsym)), corrected: errPos.length };
+    }
+
+    calculateSyndromes(msg) {
+        // Leading zero keeps the indexing used by the Forney step below
+        const synd = [0];
+        for (let i = 0; i < this.nsym; i++) {
+            synd.push(gfPolyEval(msg, gfPow(2, i)));
+        }
+        return synd;
+    }
+
+    // Berlekamp-Massey
+    findErrorLocator(synd) {
+        let errLoc = [1];
+        let oldLoc = [1];
+
+        for (let i = 0; i < this.nsym; i++) {
+            const k = i + 1;
+            let delta = synd[k];
+            for (let j = 1; j < errLoc.length; j++) {
+                delta ^= gfMul(errLoc[errLoc.length - 1 - j], synd[k - j]);
+            }
+
+            oldLoc = oldLoc.concat([0]);
+
+            if (delta !== 0) {
+                if (oldLoc.length > errLoc.length) {
+                    const newLoc = gfPolyScale(oldLoc, delta);
+                    oldLoc = gfPolyScale(errLoc, gfInverse(delta));
+                    errLoc = newLoc;
+                }
+                errLoc = gfPolyAdd(errLoc, gfPolyScale(oldLoc, delta));
+            }
+        }
+
+        while (errLoc.length && errLoc[0] === 0) errLoc.shift();
+
+        const errs = errLoc.length - 1;
+        if (errs * 2 > this.nsym) return null;
+        return errLoc;
+    }
+
+    // Chien search
+    findErrors(errLoc, length) {
+        const errs = errLoc.length - 1;
+        const positions = [];
+        for (let i = 0; i < length; i++) {
+            if (gfPolyEval(errLoc, gfPow(2, i)) === 0) {
+                positions.push(length - 1 - i);
+            }
+        }
+        return positions.length === errs ? positions : null;
+    }
+
+    // Forney algorithm
+    correctErrata(msg, synd, errPos) {
+        const coefPos = errPos.map(p => msg.length - 1 - p);
+
+        let errataLoc = [1];
+        for (const pos of coefPos) {
+            errataLoc = gfPolyMul(errataLoc, gfPolyAdd([1], [gfPow(2, pos), 0]));
+        }
+
+        // Error evaluator: (S(x) * Λ(x)) mod x^(errs + 1)
+        const product = gfPolyMul(synd.slice().reverse(), errataLoc);
+        const errEval = product.slice(-errataLoc.length).reverse();
+
+        const X = coefPos.map(pos => gfPow(2, pos));
+        const corrected = msg.slice();
+
+        X.forEach((Xi, i) => {
+            const XiInv = gfInverse(Xi);
+
+            let errLocPrime = 1;
+            X.forEach((Xj, j) => {
+                if (j !== i) errLocPrime = gfMul(errLocPrime, 1 ^ gfMul(XiInv, Xj));
+            });
+
+            const y = gfMul(Xi, gfPolyEval(errEval.slice().reverse(), XiInv));
+            corrected[errPos[i]] ^= gfDiv(y, errLocPrime);
+        });
+
+        return corrected;
+    }
+}
+
 // =============================================================================
 // CALIBRATION PRESET MANAGEMENT
 // =============================================================================
@@ -220,10 +841,12 @@ class PresetManager {
         }
     }
 
-    saveCalibration(name, frequencies, noiseFloorData) {
+    saveCalibration(name, frequencies, noiseFloorData, band = CONFIG.FREQUENCY_BAND, gains = channelGains) {
         this.presets[name] = {
             frequencies: frequencies,
             noiseFloor: noiseFloorData,
+            band: band,
+            gains: frequencies.map(freq => gains.get(freq) || 1),
             timestamp: Date.now(),
             environment: this.detectEnvironmentType(noiseFloorData)
         };
@@ -274,6 +897,13 @@ class SignalMonitor {
         return Math.max(0, Math.min(100, snr));
     }
 
+    addSNR(snr) {
+        this.snrHistory.push(snr);
+        if (this.snrHistory.length > this.maxHistory) {
+            this.snrHistory.shift();
+        }
+    }
+
     updateSNR(spectrum, targetFrequencies) {
         const sampleRate = audioContext.sampleRate;
         const bufferLength = spectrum.length;
@@ -290,10 +920,11 @@ class SignalMonitor {
             signalCount++;
         });
 
-        // Measure noise between target frequencies
-        for (let i = 0; i < targetFrequencies.length - 1; i++) {
-            const freq1 = targetFrequencies[i];
-            const freq2 = targetFrequencies[i + 1];
+        // Measure noise between neighbouring target frequencies
+        const sorted = [...targetFrequencies].sort((a, b) => a - b);
+        for (let i = 0; i < sorted.length - 1; i++) {
+            const freq1 = sorted[i];
+            const freq2 = sorted[i + 1];
             const midFreq = (freq1 + freq2) / 2;
             const bin = Math.floor(midFreq * bufferLength / (sampleRate / 2));
             noiseTotal += spectrum[bin] || 0;
@@ -304,11 +935,7 @@ class SignalMonitor {
         const avgNoise = noiseCount > 0 ? noiseTotal / noiseCount : 1;
 
         const snr = this.calculateSNR(avgSignal, avgNoise);
-
-        this.snrHistory.push(snr);
-        if (this.snrHistory.length > this.maxHistory) {
-            this.snrHistory.shift();
-        }
+        this.addSNR(snr);
 
         return snr;
     }
@@ -378,12 +1005,123 @@ class PowerController {
 
 const powerController = new PowerController();
 
+// =============================================================================
+// ADAPTIVE RATE CONTROL
+// =============================================================================
+
+// Slowest to fastest; the base chord (2-FSK, NUM_CHANNELS, SYMBOL_DURATION) is one of
+// the rungs. minSNR is the SNR a profile needs, as the base chord's demodulator would
+// report it (see ChordDemodulator.frameSNR and RateController.recordSNR).
+const RATE_PROFILES = [
+    { modulation: 'fsk2', channels: 2, symbolDuration: 80, minSNR: 0 },
+    { modulation: 'fsk2', channels: 4, symbolDuration: 60, minSNR: 8 },
+    { modulation: 'fsk2', channels: 4, symbolDuration: 40, minSNR: 12 },
+    { modulation: 'fsk4', channels: 4, symbolDuration: 40, minSNR: 15 },
+    { modulation: 'fsk8', channels: 4, symbolDuration: 40, minSNR: 18 }
+];
+
+function describeRateProfile(profile) {
+    return `${getModulation(profile.modulation).name}, ${profile.channels} channels, ${profile.symbolDuration}ms symbols`;
+}
+
+function isSameRateProfile(a, b) {
+    return !!a && !!b && a.modulation === b.modulation && a.channels === b.channels && a.symbolDuration === b.symbolDuration;
+}
+
+// DATA/END channels and timing for a rate profile on the beacon-announced chord; fewer
+// channels means the first ones, which calibration lists quietest first
+function profileMode(profile, chordFrequencies = optimalFrequencies) {
+    return {
+        modulation: getModulation(profile.modulation),
+        frequencies: chordFrequencies.slice(0, profile.channels),
+        symbolDuration: profile.symbolDuration
+    };
+}
+
+// Sender side: like PowerController, but steps symbol duration, channel count and
+// modulation order using the SNR the receiver reports in its ACKs
+class RateController {
+    constructor() {
+        this.reports = new SignalMonitor();
+        this.reports.maxHistory = CONFIG.RATE_WINDOW;
+        this.level = -1;  // Index into RATE_PROFILES, -1 = fixed rate
+        this.failures = 0;
+    }
+
+    // Start from the profile matching META's modulation; DQPSK, OFDM and transfers
+    // without ACKs (no SNR reports) keep a fixed rate
+    start(modulation, ackEnabled) {
+        this.level = !CONFIG.ENABLE_ADAPTIVE_RATE || !ackEnabled ? -1 : RATE_PROFILES.findIndex(profile =>
+            profile.modulation === modulation &&
+            profile.channels === CONFIG.NUM_CHANNELS &&
+            profile.symbolDuration === CONFIG.SYMBOL_DURATION);
+        this.hold();
+    }
+
+    get enabled() {
+        return this.level >= 0;
+    }
+
+    // The receiver measures the current profile, which reads higher with fewer channels
+    // (more power each) and longer symbols (longer integration); rescale to the base chord
+    recordSNR(snr) {
+        const profile = this.getProfile();
+        if (!profile) return;
+
+        const gain = (CONFIG.NUM_CHANNELS / profile.channels) * (profile.symbolDuration / CONFIG.SYMBOL_DURATION);
+        this.reports.addSNR(snr - 10 * Math.log10(gain));
+    }
+
+    recordResult(acked) {
+        this.failures = acked ? 0 : this.failures + 1;
+    }
+
+    // Index of the profile to switch to, or null to stay. Repeated failures on the
+    // slowest profile re-announce it, in case the receiver missed an earlier change.
+    proposal() {
+        if (!this.enabled) return null;
+
+        if (this.failures >= CONFIG.RATE_FAILURES) {
+            return Math.max(this.level - 1, 0);
+        }
+        if (this.reports.snrHistory.length < CONFIG.RATE_WINDOW) return null;
+
+        const snr = this.reports.getAverageSNR();
+        if (snr < RATE_PROFILES[this.level].minSNR && this.level > 0) {
+            return this.level - 1;
+        }
+        const next = RATE_PROFILES[this.level + 1];
+        if (next && snr >= next.minSNR + CONFIG.RATE_HYSTERESIS) {
+            return this.level + 1;
+        }
+        return null;
+    }
+
+    apply(level) {
+        this.level = level;
+        this.hold();
+    }
+
+    // Collect a fresh window before the next decision
+    hold() {
+        this.reports.reset();
+        this.failures = 0;
+    }
+
+    getProfile() {
+        return this.enabled ? RATE_PROFILES[this.level] : null;
+    }
+}
+
+const rateController = new RateController();
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
 function log(message, type = 'info') {
-    const logElement = document.getElementById('log');
+    // Silent outside the page (e.g. when the engine is loaded by the Node loopback test)
+    const logElement = typeof document !== 'undefined' ? document.getElementById('log') : null;
     if (!logElement) return;
 
     const entry = document.createElement('div');
@@ -411,643 +1149,3404 @@ function formatTime(seconds) {
     return `${minutes}m ${remainingSeconds}s`;
 }
 
-function calculateChecksum(data) {
-    let checksum = 0;
+// CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
     for (let i = 0; i < data.length; i++) {
-        checksum = (checksum + data[i]) & 0xFFFF;
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
     }
-    return checksum;
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
-function crc16(data) {
-    let crc = 0xFFFF;
-    for (let i = 0; i < data.length; i++) {
-        crc ^= data[i];
-        for (let j = 0; j < 8; j++) {
-            if (crc & 0x0001) {
-                crc = (crc >> 1) ^ 0xA001;
-            } else {
-                crc = crc >> 1;
-            }
-        }
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
     }
-    return crc;
+    return btoa(binary);
 }
 
-// =============================================================================
-// AUDIO INITIALIZATION
-// =============================================================================
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
 
-async function initAudio() {
-    try {
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            log('Audio context initialized', 'success');
-        }
+function concatBytes(arrays) {
+    const total = arrays.reduce((sum, a) => sum + a.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const a of arrays) {
+        result.set(a, offset);
+        offset += a.length;
+    }
+    return result;
+}
 
-        if (!mediaStream) {
-            mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
+// JSON with object keys sorted at every level (undefined values left out), so sender and
+// receiver serialize the same value to the same bytes
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// IndexedDB database `name`, created on first use with `stores` (name -> createObjectStore options)
+function openDatabase(name, stores) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => {
+            for (const [store, options] of Object.entries(stores)) {
+                request.result.createObjectStore(store, options);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// =============================================================================
+// BINARY FRAMING
+// =============================================================================
+
+// Frame layout (big-endian):
+//   [type:1][seq:2][length:2][body:length][crc32:4]
+// The CRC covers the header and the *unprotected* payload, so for FEC-coded DATA
+// frames it is checked after Reed-Solomon correction.
+
+const FRAME_TYPES = {
+    META: 0x01,
+    DATA: 0x02,
+    END: 0x03,
+    ACK: 0x04,
+    NACK: 0x05,
+    BEACON: 0x06,
+    REPAIR: 0x07,
+    RATE: 0x08
+};
+
+const ACK_SNR_UNKNOWN = 0xFF;
+const ACK_FLAG_RESUME = 0x01;  // Optional third ACK byte for META: chunks of this transfer are already held
+
+const FRAME_HEADER_SIZE = 5;
+const FRAME_CRC_SIZE = 4;
+const FRAME_SYNC = '10101010';
+const FRAME_POSTAMBLE = '01010101';
+
+function buildFrame(type, seq, payload = new Uint8Array(0), fecEncoder = null) {
+    const body = fecEncoder ? fecEncoder.encode(payload) : payload;
+    const header = new Uint8Array([
+        type,
+        (seq >> 8) & 0xFF, seq & 0xFF,
+        (body.length >> 8) & 0xFF, body.length & 0xFF
+    ]);
+    const crc = crc32(concatBytes([header, payload]));
+    const crcBytes = new Uint8Array([(crc >>> 24) & 0xFF, (crc >>> 16) & 0xFF, (crc >>> 8) & 0xFF, crc & 0xFF]);
+
+    return concatBytes([header, body, crcBytes]);
+}
+
+function parseFrame(bytes) {
+    if (bytes.length < FRAME_HEADER_SIZE + FRAME_CRC_SIZE) return null;
+
+    const length = (bytes[3] << 8) | bytes[4];
+    if (bytes.length !== FRAME_HEADER_SIZE + length + FRAME_CRC_SIZE) return null;
+
+    const crcOffset = FRAME_HEADER_SIZE + length;
+    return {
+        type: bytes[0],
+        seq: (bytes[1] << 8) | bytes[2],
+        header: bytes.slice(0, FRAME_HEADER_SIZE),
+        body: bytes.slice(FRAME_HEADER_SIZE, crcOffset),
+        crc: ((bytes[crcOffset] << 24) | (bytes[crcOffset + 1] << 16) |
+              (bytes[crcOffset + 2] << 8) | bytes[crcOffset + 3]) >>> 0
+    };
+}
+
+function isFrameIntact(frame, payload) {
+    return crc32(concatBytes([frame.header, payload])) === frame.crc;
+}
+
+// Airtime of a frame including sync and postamble, in ms
+function frameAirtime(frame, numChannels = optimalFrequencies.length, symbolDuration = CONFIG.SYMBOL_DURATION, modulation = MODULATIONS.fsk2) {
+    const bits = FRAME_SYNC.length + frame.length * 8 + FRAME_POSTAMBLE.length;
+    return symbolCount(bits, numChannels, modulation) * symbolDuration;
+}
+
+// REPAIR frame body: one bit per chunk (MSB first), set when the chunk is missing
+function encodeChunkBitmap(missing, totalChunks) {
+    const bitmap = new Uint8Array(missing.length ? Math.ceil(totalChunks / 8) : 0);
+    for (const idx of missing) {
+        bitmap[idx >> 3] |= 0x80 >> (idx & 7);
+    }
+    return bitmap;
+}
+
+function buildMetaFrame(metadata) {
+    return buildFrame(FRAME_TYPES.META, 0, new TextEncoder().encode(JSON.stringify(metadata)));
+}
+
+function buildDataFrame(payload, index, fecEncoder) {
+    const start = index * CONFIG.CHUNK_SIZE;
+    const chunk = payload.slice(start, Math.min(start + CONFIG.CHUNK_SIZE, payload.length));
+    return buildFrame(FRAME_TYPES.DATA, index, chunk, fecEncoder);
+}
+
+// Beacon body: [channels:1] then [freq:2] per channel, in the sender's channel order.
+// Calibration may place channels anywhere in the band, so every frequency is listed.
+function buildBeaconFrame(frequencies) {
+    const payload = new Uint8Array(1 + frequencies.length * 2);
+    payload[0] = frequencies.length;
+    frequencies.forEach((freq, i) => {
+        const hz = Math.round(freq);
+        payload[1 + i * 2] = (hz >> 8) & 0xFF;
+        payload[2 + i * 2] = hz & 0xFF;
+    });
+    return buildFrame(FRAME_TYPES.BEACON, 0, payload);
+}
+
+// Channel frequencies announced by a beacon frame, or null if it is damaged or implausible
+// for the band whose beacon tone carried it
+function parseBeaconFrame(frame, band = getFrequencyBand()) {
+    if (frame.type !== FRAME_TYPES.BEACON || frame.body.length < 3 || !isFrameIntact(frame, frame.body)) return null;
+
+    const body = frame.body;
+    const numChannels = body[0];
+    if (numChannels < 1 || body.length !== 1 + numChannels * 2) return null;
+
+    const frequencies = [];
+    for (let i = 0; i < numChannels; i++) {
+        frequencies.push((body[1 + i * 2] << 8) | body[2 + i * 2]);
+    }
+
+    if (frequencies.some(freq => freq < band.freqMin || freq > band.freqMax)) {
+        log(`Ignoring implausible beacon (${frequencies.join(', ')} Hz)`, 'warning');
+        return null;
+    }
+    return frequencies;
+}
+
+// RATE body: [channels:1][symbolDuration:1][modulation id], e.g. 'fsk4'. Always sent on
+// the base 2-FSK chord, which the receiver hears whatever rate DATA frames use.
+function buildRateFrame(profile, seq) {
+    const id = new TextEncoder().encode(profile.modulation);
+    return buildFrame(FRAME_TYPES.RATE, seq, concatBytes([new Uint8Array([profile.channels, profile.symbolDuration]), id]));
+}
+
+function parseRateFrame(frame, numChannels = optimalFrequencies.length) {
+    if (frame.type !== FRAME_TYPES.RATE || frame.body.length < 3 || !isFrameIntact(frame, frame.body)) return null;
+
+    const profile = {
+        modulation: new TextDecoder().decode(frame.body.slice(2)),
+        channels: frame.body[0],
+        symbolDuration: frame.body[1]
+    };
+    const modulation = MODULATIONS[profile.modulation];
+    if (!modulation || modulation.kind !== 'fsk' || profile.channels < 1 || profile.channels > numChannels ||
+        profile.symbolDuration < 10) {
+        return null;
+    }
+    return profile;
+}
+
+// DATA frame payload after FEC correction and CRC check, or null if it is beyond repair
+function decodeDataFrame(frame, fecDecoder) {
+    let chunk = frame.body;
+
+    if (fecDecoder) {
+        const result = fecDecoder.decode(frame.body);
+        if (!result) {
+            log(`Chunk ${frame.seq} has too many errors for FEC`, 'warning');
+            return null;
+        }
+        if (result.corrected > 0) {
+            log(`FEC corrected ${result.corrected} byte(s) in chunk ${frame.seq}`, 'info');
+        }
+        chunk = result.data;
+    }
+
+    if (!isFrameIntact(frame, chunk)) {
+        log(`Chunk ${frame.seq} is corrupted`, 'warning');
+        return null;
+    }
+    return chunk;
+}
+
+function decodeChunkBitmap(bitmap, totalChunks) {
+    const missing = [];
+    for (let i = 0; i < totalChunks && (i >> 3) < bitmap.length; i++) {
+        if (bitmap[i >> 3] & (0x80 >> (i & 7))) {
+            missing.push(i);
+        }
+    }
+    return missing;
+}
+
+// Turns the demodulated bit stream back into frames. A frame is only emitted once
+// its header's length field says it is complete; the postamble that follows is
+// consumed explicitly so its alternating bits can never pass for the next sync.
+class FrameAssembler {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'hunt';  // hunt -> frame -> postamble -> hunt
+        this.bitStream = '';
+        this.frameBits = '';
+        this.frameBytes = [];
+    }
+
+    isIdle() {
+        return this.state === 'hunt';
+    }
+
+    // Accepts a string of '0'/'1' and returns the frames it completed, in order
+    push(bits) {
+        this.bitStream += bits;
+        const frames = [];
+
+        while (true) {
+            if (this.state === 'hunt') {
+                const idx = this.bitStream.indexOf(FRAME_SYNC);
+                if (idx === -1) {
+                    // Keep just enough bits to catch a sync pattern split across calls
+                    this.bitStream = this.bitStream.slice(-(FRAME_SYNC.length - 1));
+                    break;
+                }
+
+                this.bitStream = this.bitStream.slice(idx + FRAME_SYNC.length);
+                this.frameBits = '';
+                this.frameBytes = [];
+                this.state = 'frame';
+                log('Sync detected!', 'success');
+
+            } else if (this.state === 'frame') {
+                if (this.bitStream.length < 8) break;
+
+                const byteBits = this.bitStream.slice(0, 8);
+                this.bitStream = this.bitStream.slice(8);
+                this.frameBits += byteBits;
+                this.frameBytes.push(parseInt(byteBits, 2));
+
+                if (this.frameBytes.length < FRAME_HEADER_SIZE) continue;
+
+                if (!this.isHeaderPlausible()) {
+                    this.resync();
+                    continue;
+                }
+
+                const bodyLength = (this.frameBytes[3] << 8) | this.frameBytes[4];
+                if (this.frameBytes.length === FRAME_HEADER_SIZE + bodyLength + FRAME_CRC_SIZE) {
+                    frames.push(Uint8Array.from(this.frameBytes));
+                    this.state = 'postamble';
+                }
+
+            } else if (this.state === 'postamble') {
+                if (this.bitStream.length < FRAME_POSTAMBLE.length) break;
+
+                const tail = this.bitStream.slice(0, FRAME_POSTAMBLE.length);
+                this.bitStream = this.bitStream.slice(FRAME_POSTAMBLE.length);
+                if (tail !== FRAME_POSTAMBLE) {
+                    log('Frame postamble mismatch (bit errors near frame end)', 'warning');
+                }
+
+                // Channel padding after the postamble is all zeros and cannot contain a sync
+                this.state = 'hunt';
+            }
+        }
+
+        return frames;
+    }
+
+    isHeaderPlausible() {
+        const type = this.frameBytes[0];
+        const bodyLength = (this.frameBytes[3] << 8) | this.frameBytes[4];
+        return Object.values(FRAME_TYPES).includes(type) && bodyLength <= CONFIG.MAX_FRAME_BODY;
+    }
+
+    // False sync: resume hunting one bit after where the bogus sync pattern started
+    resync() {
+        this.bitStream = FRAME_SYNC.slice(1) + this.frameBits + this.bitStream;
+        this.frameBits = '';
+        this.frameBytes = [];
+        this.state = 'hunt';
+    }
+
+    // Called when the signal disappears mid-frame; returns true if a partial frame was dropped
+    dropPartialFrame() {
+        if (this.state !== 'frame') return false;
+        this.reset();
+        return true;
+    }
+}
+
+// =============================================================================
+// MULTI-FILE BUNDLES
+// =============================================================================
+
+// Several files travel as one payload:
+//   [manifest length:4][manifest JSON][entry bytes...]
+// The manifest lists { path, size, sha256, codec, offset, length } per file, with offsets
+// counted from the end of the manifest. Entries are compressed one by one so each can be
+// verified on its own. Only unencrypted bundles map DATA chunks to files (per-file progress)
+// and salvage single files from a partial transfer: encryption puts the SHA-256 in front of
+// the plaintext, and a partial ciphertext cannot be decrypted at all. META only carries the
+// manifest length and file count: a manifest can easily outgrow a META frame.
+async function buildBundle(files) {
+    const manifest = { files: [] };
+    const entries = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const compressed = await compressPayload(file.bytes, file.path);
+        manifest.files.push({
+            path: file.path,
+            size: file.bytes.length,
+            sha256: bytesToHex(await sha256(file.bytes)),
+            codec: compressed.codec || undefined,
+            offset: offset,
+            length: compressed.bytes.length
+        });
+        entries.push(compressed.bytes);
+        offset += compressed.bytes.length;
+    }
+
+    const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+    const bytes = new Uint8Array(4 + manifestBytes.length + offset);
+    new DataView(bytes.buffer).setUint32(0, manifestBytes.length);
+    bytes.set(manifestBytes, 4);
+
+    let pos = 4 + manifestBytes.length;
+    for (const entry of entries) {
+        bytes.set(entry, pos);
+        pos += entry.length;
+    }
+
+    return { bytes, manifestLength: manifestBytes.length, fileCount: files.length };
+}
+
+// Manifest at the start of a bundle, or null if it is incomplete or damaged
+function parseBundleManifest(bytes) {
+    if (bytes.length < 4) return null;
+
+    const length = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+    if (4 + length > bytes.length) return null;
+
+    try {
+        const manifest = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length)));
+        if (!Array.isArray(manifest.files)) return null;
+        manifest.length = length;
+        return manifest;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Payload byte range [start, end) of a manifest entry
+function bundleEntryRange(manifest, entry) {
+    const start = 4 + manifest.length + entry.offset;
+    return { start, end: start + entry.length };
+}
+
+// Manifest paths come from the sender: keep them relative and free of '..'
+function safeBundlePath(path) {
+    const parts = String(path).split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..');
+    return parts.join('/') || 'file';
+}
+
+// Decompresses and verifies every file of a (decrypted) bundle: [{ path, bytes, verified }].
+// Damaged or missing files come back unverified; the others are still usable.
+async function unpackBundle(bytes) {
+    const manifest = parseBundleManifest(bytes);
+    if (!manifest) {
+        throw new Error('Bundle manifest is missing or damaged');
+    }
+
+    const files = [];
+    for (const entry of manifest.files) {
+        const range = bundleEntryRange(manifest, entry);
+        let data = bytes.slice(range.start, range.end);
+        let verified = false;
+
+        try {
+            if (entry.codec) {
+                const codec = COMPRESSION_CODECS[entry.codec];
+                if (!codec || !codec.available()) {
+                    throw new Error(`codec ${entry.codec} is not supported by this browser`);
+                }
+                data = await codec.decompress(data);
+            }
+            verified = bytesToHex(await sha256(data)) === entry.sha256;
+        } catch (e) {
+            log(`${entry.path}: decompression failed (${e.message})`, 'warning');
+        }
+
+        files.push({ path: safeBundlePath(entry.path), bytes: data, verified: verified });
+    }
+    return files;
+}
+
+// Stored (uncompressed) ZIP archive of [{ path, bytes }], built in the browser for
+// "Download all". Bundle entries were already compressed for the air, so storing is enough.
+function buildZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.path);
+        const crc = crc32(file.bytes);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);  // Local file header signature
+        local.setUint16(4, 20, true);  // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);  // UTF-8 file names
+        local.setUint16(8, 0, true);  // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.bytes.length, true);  // Compressed size
+        local.setUint32(22, file.bytes.length, true);  // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);  // Extra field length
+        parts.push(local.buffer, name, file.bytes);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);  // Central directory signature
+        entry.setUint16(4, 20, true);  // Version made by
+        entry.setUint16(6, 20, true);  // Version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.bytes.length, true);
+        entry.setUint32(24, file.bytes.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);  // Local header offset (extra, comment, disk and attributes stay 0)
+        central.push(entry.buffer, name);
+
+        offset += 30 + name.length + file.bytes.length;
+    }
+
+    const centralSize = central.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);  // End of central directory signature
+    end.setUint16(8, files.length, true);  // Entries on this disk
+    end.setUint16(10, files.length, true);  // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);  // Central directory offset
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+// =============================================================================
+// ENCRYPTION
+// =============================================================================
+
+async function deriveKey(passphrase, salt) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: CONFIG.PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']);
+}
+
+// Returns the ciphertext (with GCM tag appended) plus the salt and IV the receiver needs
+async function encryptPayload(data, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, data);
+
+    return { ciphertext: new Uint8Array(ciphertext), salt, iv };
+}
+
+// Rejects when the passphrase is wrong or the ciphertext was tampered with
+async function decryptPayload(ciphertext, passphrase, salt, iv) {
+    const key = await deriveKey(passphrase, salt);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, ciphertext);
+    return new Uint8Array(plaintext);
+}
+
+// Payload of an encrypted transfer as { bytes, expectedHash }: the plaintext carries the
+// file's SHA-256 in front (see prepareTransfer). Rejects like decryptPayload.
+async function decryptTransferPayload(ciphertext, metadata, passphrase) {
+    const plaintext = await decryptPayload(ciphertext, passphrase,
+        base64ToBytes(metadata.encryption.salt), base64ToBytes(metadata.encryption.iv));
+    return {
+        bytes: plaintext.slice(SHA256_SIZE),
+        expectedHash: bytesToHex(plaintext.slice(0, SHA256_SIZE))
+    };
+}
+
+// =============================================================================
+// SENDER AUTHENTICATION (ECDSA P-256)
+// =============================================================================
+
+const ECDSA_KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDSA_SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+const SHA256_SIZE = 32;
+
+async function sha256(bytes) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// Short, human-comparable id of a raw public key: first 8 bytes of its SHA-256
+async function keyFingerprint(rawPublicKey) {
+    const digest = await sha256(rawPublicKey);
+    return bytesToHex(digest.slice(0, 8)).match(/../g).join(':');
+}
+
+// This device's signing key pair, generated once. The private key is not extractable and
+// is kept as a CryptoKey in IndexedDB, so no script on the page can read its key material.
+class SigningIdentity {
+    constructor() {
+        this.privateKey = null;
+        this.publicKey = null;
+        this.fingerprint = null;
+        this.db = null;
+        this.loading = null;
+    }
+
+    // Concurrent callers share one load, so a new device generates a single key
+    load() {
+        if (!this.loading) {
+            this.loading = this.loadKeys().catch(e => {
+                this.loading = null;
+                throw e;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadKeys() {
+        let stored = null;
+        try {
+            stored = await this.readStored() || await this.importLegacyKey();
+        } catch (e) {
+            log('Failed to load signing key: ' + e.message, 'warning');
+        }
+
+        if (stored) {
+            this.privateKey = stored.privateKey;
+            this.publicKey = stored.publicKey;
+        } else {
+            const keyPair = await crypto.subtle.generateKey(ECDSA_KEY_PARAMS, false, ['sign', 'verify']);
+            this.privateKey = keyPair.privateKey;
+            this.publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+            await this.save();
+            log('Generated new signing key', 'success');
+        }
+
+        this.fingerprint = await keyFingerprint(this.publicKey);
+        return this;
+    }
+
+    database() {
+        if (typeof indexedDB === 'undefined') return null;
+        if (!this.db) {
+            this.db = openDatabase(IDENTITY_DB_NAME, { keys: {} });
+        }
+        return this.db;
+    }
+
+    async readStored() {
+        const db = await this.database();
+        if (!db) return null;
+        return await requestResult(db.transaction('keys').objectStore('keys').get('identity')) || null;
+    }
+
+    // Returns whether the key pair was saved
+    async save() {
+        try {
+            const db = await this.database();
+            if (!db) {
+                throw new Error('IndexedDB is unavailable, the key only lasts for this session');
+            }
+            await requestResult(db.transaction('keys', 'readwrite').objectStore('keys')
+                .put({ privateKey: this.privateKey, publicKey: this.publicKey }, 'identity'));
+            return true;
+        } catch (e) {
+            log('Failed to save signing key: ' + e.message, 'warning');
+            return false;
+        }
+    }
+
+    // Earlier versions kept the key as an extractable JWK in localStorage. Re-import it as
+    // non-extractable and move it to IndexedDB, keeping the fingerprint others already trust.
+    async importLegacyKey() {
+        const legacy = JSON.parse(localStorage.getItem(IDENTITY_STORAGE_KEY));
+        if (!legacy) return null;
+
+        this.privateKey = await crypto.subtle.importKey('jwk', legacy.privateKey, ECDSA_KEY_PARAMS, false, ['sign']);
+        this.publicKey = base64ToBytes(legacy.publicKey);
+        if (await this.save()) {
+            localStorage.removeItem(IDENTITY_STORAGE_KEY);
+            log('Signing key moved from localStorage to IndexedDB', 'success');
+        }
+        return { privateKey: this.privateKey, publicKey: this.publicKey };
+    }
+
+    // Public key in the form other devices paste into their trusted senders list
+    exportPublicKey() {
+        return bytesToBase64(this.publicKey);
+    }
+
+    async sign(data) {
+        await this.load();
+        const signature = await crypto.subtle.sign(ECDSA_SIGN_PARAMS, this.privateKey, data);
+        return {
+            fingerprint: this.fingerprint,
+            value: bytesToBase64(new Uint8Array(signature))
+        };
+    }
+}
+
+class TrustedKeyStore {
+    constructor() {
+        this.keys = this.loadKeys();
+    }
+
+    loadKeys() {
+        try {
+            const stored = localStorage.getItem(TRUSTED_KEYS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            log('Failed to load trusted keys: ' + e.message, 'warning');
+            return {};
+        }
+    }
+
+    saveKeys() {
+        try {
+            localStorage.setItem(TRUSTED_KEYS_STORAGE_KEY, JSON.stringify(this.keys));
+        } catch (e) {
+            log('Failed to save trusted keys: ' + e.message, 'warning');
+        }
+    }
+
+    async addKey(name, publicKeyBase64) {
+        const rawKey = base64ToBytes(publicKeyBase64.trim());
+        // Fails on anything that is not an uncompressed P-256 point
+        await crypto.subtle.importKey('raw', rawKey, ECDSA_KEY_PARAMS, true, ['verify']);
+
+        const fingerprint = await keyFingerprint(rawKey);
+        this.keys[fingerprint] = { name: name, publicKey: bytesToBase64(rawKey), added: Date.now() };
+        this.saveKeys();
+        log(`Trusted sender added: ${name} (${fingerprint})`, 'success');
+        return fingerprint;
+    }
+
+    findByFingerprint(fingerprint) {
+        return this.keys[fingerprint] || null;
+    }
+
+    listKeys() {
+        return Object.keys(this.keys).map(fingerprint => ({
+            fingerprint: fingerprint,
+            ...this.keys[fingerprint]
+        }));
+    }
+
+    removeKey(fingerprint) {
+        delete this.keys[fingerprint];
+        this.saveKeys();
+    }
+}
+
+const signingIdentity = new SigningIdentity();
+const trustedKeys = new TrustedKeyStore();
+
+// META fields a signature covers: everything that says what the payload is and how to
+// read it. Transport fields (modulation, ofdm, useAck, repair, fec) may change between
+// attempts at the same transfer and are left out.
+const SIGNED_META_FIELDS = ['transferId', 'filename', 'size', 'originalSize', 'codec', 'manifest',
+    'files', 'message', 'sha256', 'encryption', 'chunks', 'timestamp'];
+
+// Bytes a transfer signature is made over: the signed META fields plus the SHA-256 of the
+// payload as sent, i.e. of the ciphertext when encrypted, so the signature cannot be used
+// to check guesses at the plaintext
+async function signedMetaBytes(metadata, payload) {
+    const fields = {};
+    for (const key of SIGNED_META_FIELDS) {
+        fields[key] = metadata[key];
+    }
+    fields.payloadSha256 = bytesToHex(await sha256(payload));
+    return new TextEncoder().encode(canonicalJson(fields));
+}
+
+// Returns the line shown next to the integrity status
+async function verifyTransferSignature(signedBytes, signature) {
+    const signer = trustedKeys.findByFingerprint(signature.fingerprint);
+    if (!signer) {
+        return `❓ Unknown signer (${signature.fingerprint})`;
+    }
+
+    try {
+        const publicKey = await crypto.subtle.importKey(
+            'raw', base64ToBytes(signer.publicKey), ECDSA_KEY_PARAMS, false, ['verify']);
+        const valid = await crypto.subtle.verify(
+            ECDSA_SIGN_PARAMS, publicKey, base64ToBytes(signature.value), signedBytes);
+
+        return valid ? `✅ Signed by ${signer.name}` : '❌ Invalid signature';
+    } catch (e) {
+        return '❌ Invalid signature';
+    }
+}
+
+// =============================================================================
+// RESUMABLE TRANSFERS
+// =============================================================================
+
+// Partially received transfers, kept in IndexedDB under META's transfer id so that a
+// reload or "Stop" does not lose them. Each chunk is its own record keyed
+// [transferId, index], so saving one does not rewrite the others.
+class TransferStore {
+    constructor() {
+        this.db = null;
+        this.withChunks = new Set();  // Ids with saved chunks, so META can be answered without a read
+    }
+
+    isAvailable() {
+        return CONFIG.RESUME_TRANSFERS && typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = openDatabase(TRANSFER_DB_NAME, { transfers: { keyPath: 'id' }, chunks: {} });
+        }
+        return this.db;
+    }
+
+    // Runs fn(transfers, chunks) in one transaction; resolves with its return value once committed
+    async transaction(mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(['transfers', 'chunks'], mode);
+        const result = fn(tx.objectStore('transfers'), tx.objectStore('chunks'));
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result;
+    }
+
+    // True once chunks of `id` are saved; metadata alone (a META retried after a lost ACK)
+    // leaves nothing to resume
+    hasChunks(id) {
+        return this.withChunks.has(id);
+    }
+
+    chunkRange(id) {
+        return IDBKeyRange.bound([id, 0], [id, Infinity]);
+    }
+
+    async saveMetadata(metadata) {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.transaction('readwrite', transfers =>
+                transfers.put({ id: metadata.transferId, metadata: metadata, updated: Date.now() }));
+        } catch (e) {
+            log('Failed to save transfer state: ' + e.message, 'warning');
+        }
+    }
+
+    async saveChunk(id, index, chunk) {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.transaction('readwrite', (transfers, chunks) => chunks.put(chunk, [id, index]));
+            this.withChunks.add(id);
+        } catch (e) {
+            log('Failed to save chunk: ' + e.message, 'warning');
+        }
+    }
+
+    // { metadata, chunks: Map(index -> bytes) } kept for `id`, or null
+    async load(id) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const requests = await this.transaction('readonly', (transfers, chunks) => ({
+                transfer: transfers.get(id),
+                keys: chunks.getAllKeys(this.chunkRange(id)),
+                values: chunks.getAll(this.chunkRange(id))
+            }));
+            if (!requests.transfer.result) return null;
+
+            const chunks = new Map();
+            requests.keys.result.forEach((key, i) => chunks.set(key[1], requests.values.result[i]));
+            return { metadata: requests.transfer.result.metadata, chunks: chunks };
+        } catch (e) {
+            log('Failed to load transfer state: ' + e.message, 'warning');
+            return null;
+        }
+    }
+
+    async delete(id) {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.transaction('readwrite', (transfers, chunks) => {
+                transfers.delete(id);
+                chunks.delete(this.chunkRange(id));
+            });
+            this.withChunks.delete(id);
+        } catch (e) {
+            log('Failed to delete transfer state: ' + e.message, 'warning');
+        }
+    }
+
+    // Drops transfers untouched for RESUME_MAX_AGE; returns the kept ones' metadata
+    async prune() {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const requests = await this.transaction('readonly', (transfers, chunks) => ({
+                records: transfers.getAll(),
+                chunkKeys: chunks.getAllKeys()
+            }));
+            const idsWithChunks = new Set(requests.chunkKeys.result.map(key => key[0]));
+            const kept = [];
+            for (const record of requests.records.result) {
+                if (Date.now() - record.updated > CONFIG.RESUME_MAX_AGE) {
+                    await this.delete(record.id);
+                } else {
+                    if (idsWithChunks.has(record.id)) this.withChunks.add(record.id);
+                    kept.push(record.metadata);
+                }
+            }
+            return kept;
+        } catch (e) {
+            log('Failed to read kept transfers: ' + e.message, 'warning');
+            return [];
+        }
+    }
+}
+
+const transferStore = new TransferStore();
+
+// =============================================================================
+// AUDIO INITIALIZATION
+// =============================================================================
+
+async function initAudio() {
+    try {
+        if (!audioContext) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            log('Audio context initialized', 'success');
+        }
+
+        if (!mediaStream) {
+            mediaStream = await navigator.mediaDevices.getUserMedia({
+                audio: {
                     echoCancellation: false,
                     noiseSuppression: false,
                     autoGainControl: false,
                     sampleRate: CONFIG.SAMPLE_RATE
                 }
-            });
+            });
+
+            analyser = audioContext.createAnalyser();
+            analyser.fftSize = CONFIG.FFT_SIZE;
+            analyser.smoothingTimeConstant = 0.3;
+
+            micSource = audioContext.createMediaStreamSource(mediaStream);
+            micSource.connect(analyser);
+
+            log('Microphone access granted', 'success');
+
+            await initSampleCapture();
+        }
+
+        return true;
+    } catch (error) {
+        log(`Error accessing microphone: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+// Runs on the audio thread and forwards raw microphone samples in fixed-size blocks
+const CAPTURE_WORKLET_SOURCE = `
+class SonicCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.blockSize = options.processorOptions.blockSize;
+        this.block = new Float32Array(this.blockSize);
+        this.fill = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (input) {
+            for (let i = 0; i < input.length; i++) {
+                this.block[this.fill++] = input[i];
+                if (this.fill === this.blockSize) {
+                    this.port.postMessage(this.block, [this.block.buffer]);
+                    this.block = new Float32Array(this.blockSize);
+                    this.fill = 0;
+                }
+            }
+        }
+        return true;
+    }
+}
+registerProcessor('sonic-capture', SonicCaptureProcessor);
+`;
+
+// Feeds microphone PCM to handleCapturedSamples, preferring an AudioWorklet and
+// falling back to a ScriptProcessor on browsers without one. Unlike rAF polling,
+// neither is throttled in background tabs.
+async function initSampleCapture() {
+    if (audioContext.audioWorklet && window.AudioWorkletNode) {
+        try {
+            const moduleUrl = URL.createObjectURL(new Blob([CAPTURE_WORKLET_SOURCE], { type: 'application/javascript' }));
+            await audioContext.audioWorklet.addModule(moduleUrl);
+            URL.revokeObjectURL(moduleUrl);
+
+            captureNode = new AudioWorkletNode(audioContext, 'sonic-capture', {
+                numberOfOutputs: 0,
+                processorOptions: { blockSize: CONFIG.CAPTURE_BLOCK_SIZE }
+            });
+            captureNode.port.onmessage = (event) => handleCapturedSamples(event.data);
+            micSource.connect(captureNode);
+
+            log('Sample capture running on AudioWorklet', 'info');
+            return;
+        } catch (error) {
+            log(`AudioWorklet unavailable (${error.message}), using ScriptProcessor`, 'warning');
+        }
+    }
+
+    scriptProcessor = audioContext.createScriptProcessor(CONFIG.CAPTURE_BLOCK_SIZE, 1, 1);
+    scriptProcessor.onaudioprocess = (event) => {
+        handleCapturedSamples(new Float32Array(event.inputBuffer.getChannelData(0)));
+    };
+    micSource.connect(scriptProcessor);
+    // ScriptProcessor only runs while connected to the destination; its output stays silent
+    scriptProcessor.connect(audioContext.destination);
+}
+
+// =============================================================================
+// CALIBRATION
+// =============================================================================
+
+async function performCalibration(isQuick = false) {
+    if (!await initAudio()) return false;
+
+    log(`Starting ${isQuick ? 'quick' : 'full'} calibration...`, 'info');
+
+    const duration = isQuick ? 2000 : CONFIG.CALIBRATION_DURATION;
+    const samples = [];
+    const startTime = Date.now();
+
+    await new Promise((resolve) => {
+        const interval = setInterval(() => {
+            const bufferLength = analyser.frequencyBinCount;
+            const dataArray = new Uint8Array(bufferLength);
+            analyser.getByteFrequencyData(dataArray);
+            samples.push([...dataArray]);
+
+            const elapsed = Date.now() - startTime;
+            if (elapsed >= duration) {
+                clearInterval(interval);
+                resolve();
+            }
+        }, 50);
+    });
+
+    const noiseSpectrum = averageSpectrum(samples);
+    let response = null;
+
+    // Many speakers and microphones roll off before 17kHz, so check before relying on it
+    if (CONFIG.FREQUENCY_BAND === 'ultrasonic') {
+        response = await measureResponse(noiseSpectrum);
+        const coverage = sweepCoverage(response, audioContext.sampleRate);
+        if (coverage < CONFIG.SWEEP_MIN_COVERAGE) {
+            log(`Speaker/microphone barely respond at ${CONFIG.FREQ_MIN / 1000}-${CONFIG.FREQ_MAX / 1000} kHz ` +
+                `(${Math.round(coverage * 100)}% of the band), falling back to the audible band`, 'warning');
+            selectFrequencyBand('audible');
+            response = null;
+        } else {
+            log(`Near-ultrasonic response OK (${Math.round(coverage * 100)}% of the band)`, 'success');
+        }
+    }
+
+    if (CONFIG.ACTIVE_CALIBRATION && !response) {
+        response = await measureResponse(noiseSpectrum);
+    }
+
+    analyzeCalibrationData(samples, response);
+    return true;
+}
+
+// Plays a swept tone across FREQ_MIN..FREQ_MAX while holding the analyser's peak per bin;
+// returns how far each bin rose above the calibration noise, in dB (0 where it did not)
+async function measureResponse(noiseSpectrum) {
+    const peak = new Array(analyser.frequencyBinCount).fill(0);
+    const dataArray = new Uint8Array(analyser.frequencyBinCount);
+
+    log(`Checking speaker/microphone response with a ${CONFIG.FREQ_MIN / 1000}-${CONFIG.FREQ_MAX / 1000} kHz sweep...`, 'info');
+
+    const capture = setInterval(() => {
+        analyser.getByteFrequencyData(dataArray);
+        for (let i = 0; i < peak.length; i++) {
+            peak[i] = Math.max(peak[i], dataArray[i]);
+        }
+    }, 20);
+
+    await playSamples(synthesizeSweep(CONFIG.FREQ_MIN, CONFIG.FREQ_MAX, CONFIG.SWEEP_DURATION, audioContext.sampleRate, CONFIG.MAX_POWER));
+    // Let the analyser window catch the end of the sweep
+    await new Promise(resolve => setTimeout(resolve, 200));
+    clearInterval(capture);
+
+    // Analyser levels span 70dB in 255 steps
+    return peak.map((level, i) => Math.max(0, (level - noiseSpectrum[i]) * 70 / 255));
+}
+
+// Fraction of the band where the sweep rose at least SWEEP_MIN_RESPONSE dB
+function sweepCoverage(response, sampleRate) {
+    const step = 250;
+    let covered = 0;
+    let total = 0;
+
+    for (let freq = CONFIG.FREQ_MIN; freq < CONFIG.FREQ_MAX; freq += step) {
+        if (spectrumLevel(response, sampleRate, freq, freq + step) >= CONFIG.SWEEP_MIN_RESPONSE) covered++;
+        total++;
+    }
+
+    return covered / total;
+}
+
+function averageSpectrum(samples) {
+    const bufferLength = samples[0].length;
+    const avgSpectrum = new Array(bufferLength).fill(0);
+    for (const sample of samples) {
+        for (let i = 0; i < bufferLength; i++) {
+            avgSpectrum[i] += sample[i] / samples.length;
+        }
+    }
+    return avgSpectrum;
+}
+
+function analyzeCalibrationData(samples, response = null) {
+    const sampleRate = audioContext.sampleRate;
+    const avgSpectrum = averageSpectrum(samples);
+
+    noiseFloor = avgSpectrum;
+    optimalFrequencies = allocateChannels(avgSpectrum, sampleRate, response);
+    channelGains = response ? responseGains(optimalFrequencies, response, sampleRate) : new Map();
+
+    isCalibrated = true;
+
+    log(`Calibration complete! Using ${optimalFrequencies.length} channels`, 'success');
+    log(`Frequencies: ${optimalFrequencies.map(f => f + 'Hz').join(', ')}`, 'info');
+    if (response) {
+        log(`Channel gains: ${optimalFrequencies.map(f => channelGains.get(f).toFixed(2) + '×').join(', ')}`, 'info');
+    }
+
+    updateFrequencyDisplay();
+    drawSpectrogram(samples, response);
+    updatePresetUI();
+}
+
+// Picks NUM_CHANNELS channel frequencies anywhere in FREQ_MIN..FREQ_MAX, quietest first,
+// at least CHANNEL_SPACING apart. A channel counts as loud as the loudest bin its tones
+// can land on, so a single fan harmonic only rules out the channels it actually hits.
+// With a measured speaker/mic response, channels are ranked by expected SNR instead
+// (noise minus the weakest response under their tones), and frequencies the sweep did not
+// reach SWEEP_MIN_RESPONSE on are only used when nothing else is left.
+// The result stays in that order: slower rate profiles use the first (best) channels.
+function allocateChannels(spectrum, sampleRate, response = null) {
+    const reach = 2 * CONFIG.FSK_DEVIATION;
+    const binWidth = sampleRate / 2 / spectrum.length;
+    const candidates = [];
+
+    for (let freq = CONFIG.FREQ_MIN; freq <= CONFIG.FREQ_MAX; freq += 50) {
+        const first = Math.max(0, Math.floor((freq - reach) / binWidth));
+        const last = Math.min(spectrum.length - 1, Math.ceil((freq + reach) / binWidth));
+        let noise = 0;
+        for (let i = first; i <= last; i++) {
+            noise = Math.max(noise, spectrum[i]);
+        }
+
+        let cost = noise;
+        let reproduced = true;
+        if (response) {
+            const weakest = Math.min(...response.slice(first, last + 1));
+            cost -= weakest * 255 / 70;
+            reproduced = weakest >= CONFIG.SWEEP_MIN_RESPONSE;
+        }
+        candidates.push({ freq, cost, reproduced });
+    }
+
+    // Stable sort: equally good candidates keep low frequencies first
+    candidates.sort((a, b) => (b.reproduced - a.reproduced) || (a.cost - b.cost));
+
+    const frequencies = [];
+    for (const candidate of candidates) {
+        if (frequencies.length === CONFIG.NUM_CHANNELS) break;
+        if (frequencies.every(freq => Math.abs(freq - candidate.freq) >= CONFIG.CHANNEL_SPACING)) {
+            frequencies.push(candidate.freq);
+        }
+    }
+    return frequencies;
+}
+
+// Transmit gain per channel that evens out the received levels: a channel the sweep came
+// back X dB weaker on than the strongest one gets X dB more, up to MAX_CHANNEL_GAIN.
+// synthesizeChord normalizes the gains, so they only move power between channels.
+function responseGains(frequencies, response, sampleRate) {
+    const levels = frequencies.map(freq => spectrumLevel(response, sampleRate,
+        freq - 2 * CONFIG.FSK_DEVIATION, freq + 2 * CONFIG.FSK_DEVIATION));
+    const strongest = Math.max(...levels);
+
+    const gains = new Map();
+    frequencies.forEach((freq, i) => {
+        gains.set(freq, Math.min(CONFIG.MAX_CHANNEL_GAIN, Math.pow(10, (strongest - levels[i]) / 20)));
+    });
+    return gains;
+}
+
+function updateFrequencyDisplay() {
+    const freqText = optimalFrequencies.map(f => `${Math.round(f)}Hz`).join(', ');
+
+    const senderFreq = document.getElementById('senderSelectedFreq');
+    const listenerFreq = document.getElementById('listenerSelectedFreq');
+
+    if (senderFreq) senderFreq.textContent = freqText;
+    if (listenerFreq) listenerFreq.textContent = freqText;
+
+    const chordIndicator = document.getElementById('chordIndicator');
+    if (chordIndicator) {
+        chordIndicator.innerHTML = optimalFrequencies
+            .map(f => `<div class="chord-freq">${Math.round(f)} Hz</div>`)
+            .join('');
+    }
+}
+
+function drawSpectrogram(samples, response = null) {
+    const canvas = currentMode === 'sender'
+        ? document.getElementById('senderSpectrogramCanvas')
+        : document.getElementById('listenerSpectrogramCanvas');
+
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const bufferLength = samples[0].length;
+    const sampleRate = audioContext.sampleRate;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let x = 0; x < canvas.width; x++) {
+        const sampleIdx = Math.floor(x / canvas.width * samples.length);
+        if (sampleIdx >= samples.length) continue;
+
+        const sample = samples[sampleIdx];
+
+        for (let y = 0; y < canvas.height; y++) {
+            const freq = CONFIG.FREQ_MAX - (y / canvas.height) * (CONFIG.FREQ_MAX - CONFIG.FREQ_MIN);
+            const bin = Math.floor(freq * bufferLength / (sampleRate / 2));
+            const amplitude = sample[bin] || 0;
+            const intensity = amplitude / 255;
+
+            let r, g, b;
+            if (intensity < 0.25) {
+                r = 0; g = 0; b = Math.floor(intensity * 4 * 128) + 128;
+            } else if (intensity < 0.5) {
+                r = 0; g = Math.floor((intensity - 0.25) * 4 * 255); b = 128;
+            } else if (intensity < 0.75) {
+                r = Math.floor((intensity - 0.5) * 4 * 255); g = 255; b = 0;
+            } else {
+                r = 255; g = 255 - Math.floor((intensity - 0.75) * 4 * 255); b = 0;
+            }
+
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.fillRect(x, y, 1, 1);
+        }
+    }
+
+    // Draw frequency lines
+    optimalFrequencies.forEach(freq => {
+        const y = (1 - (freq - CONFIG.FREQ_MIN) / (CONFIG.FREQ_MAX - CONFIG.FREQ_MIN)) * canvas.height;
+        ctx.strokeStyle = 'rgba(255, 107, 107, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(canvas.width, y);
+        ctx.stroke();
+    });
+
+    if (response) {
+        drawResponseCurve(ctx, canvas, response, sampleRate);
+    }
+}
+
+// Measured speaker/mic response on top of the spectrogram: 0 dB at the left edge,
+// RESPONSE_PLOT_RANGE dB at the right, one point per pixel row
+const RESPONSE_PLOT_RANGE = 50;
+
+function drawResponseCurve(ctx, canvas, response, sampleRate) {
+    const rowHeight = (CONFIG.FREQ_MAX - CONFIG.FREQ_MIN) / canvas.height;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let y = 0; y < canvas.height; y++) {
+        const freq = CONFIG.FREQ_MAX - y * rowHeight;
+        const db = spectrumLevel(response, sampleRate, freq - rowHeight / 2, freq + rowHeight / 2);
+        const x = Math.min(db, RESPONSE_PLOT_RANGE) / RESPONSE_PLOT_RANGE * canvas.width;
+        if (y === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(`Speaker/mic response (0-${RESPONSE_PLOT_RANGE} dB)`, 8, 16);
+}
+
+// =============================================================================
+// PRESET UI MANAGEMENT
+// =============================================================================
+
+function updatePresetUI() {
+    const presetSelect = document.getElementById('presetSelect');
+    if (!presetSelect) return;
+
+    const presets = presetManager.listPresets();
+    presetSelect.innerHTML = '<option value="">-- Select Preset --</option>';
+
+    presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = `${preset.name} (${preset.environment}, ${getFrequencyBand(preset.band).name})`;
+        presetSelect.appendChild(option);
+    });
+}
+
+function saveCurrentPreset() {
+    if (!isCalibrated) {
+        log('Please calibrate first before saving preset', 'warning');
+        return;
+    }
+
+    const name = prompt('Enter preset name:');
+    if (name && name.trim()) {
+        presetManager.saveCalibration(name.trim(), optimalFrequencies, noiseFloor);
+        updatePresetUI();
+    }
+}
+
+function loadPreset() {
+    const presetSelect = document.getElementById('presetSelect');
+    if (!presetSelect || !presetSelect.value) return;
+
+    const preset = presetManager.loadCalibration(presetSelect.value);
+    if (preset) {
+        // Presets saved before bands existed are audible
+        selectFrequencyBand(preset.band || 'audible');
+        optimalFrequencies = preset.frequencies;
+        noiseFloor = preset.noiseFloor;
+        channelGains = new Map(preset.frequencies.map((freq, i) => [freq, preset.gains ? preset.gains[i] : 1]));
+        isCalibrated = true;
+
+        log(`Loaded preset: ${presetSelect.value} (${preset.environment})`, 'success');
+        updateFrequencyDisplay();
+
+        // Enable buttons
+        if (selectedFiles.length > 0) {
+            document.getElementById('sendBtn').disabled = false;
+            document.getElementById('quickSendBtn').disabled = false;
+            document.getElementById('saveAudioBtn').disabled = false;
+        }
+    }
+}
+
+// =============================================================================
+// SIGNING KEY UI
+// =============================================================================
+
+async function updateIdentityUI() {
+    const fingerprintEl = document.getElementById('myFingerprint');
+    if (!fingerprintEl) return;
+
+    try {
+        await signingIdentity.load();
+        fingerprintEl.textContent = signingIdentity.fingerprint;
+    } catch (e) {
+        fingerprintEl.textContent = 'Unavailable';
+        document.getElementById('signTransfer').disabled = true;
+        log('Signing unavailable: ' + e.message, 'warning');
+    }
+}
+
+async function copyPublicKey() {
+    await signingIdentity.load();
+    const publicKey = signingIdentity.exportPublicKey();
+
+    try {
+        await navigator.clipboard.writeText(publicKey);
+        log('Public key copied - add it to the listener\'s trusted senders', 'success');
+    } catch (e) {
+        prompt('Copy your public key:', publicKey);
+    }
+}
+
+function updateTrustedKeysUI() {
+    const list = document.getElementById('trustedKeysList');
+    if (!list) return;
+
+    const keys = trustedKeys.listKeys();
+    list.innerHTML = keys.length ? '' : '<div style="opacity: 0.7;">No trusted senders yet</div>';
+
+    keys.forEach(key => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin: 5px 0;';
+
+        const label = document.createElement('span');
+        label.textContent = `${key.name} (${key.fingerprint})`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn';
+        removeBtn.style.padding = '4px 10px';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => {
+            trustedKeys.removeKey(key.fingerprint);
+            updateTrustedKeysUI();
+        };
+
+        row.appendChild(label);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+    });
+}
+
+async function addTrustedSender() {
+    const name = prompt('Sender name:');
+    if (!name || !name.trim()) return;
+
+    const publicKey = prompt(`Paste ${name.trim()}'s public key:`);
+    if (!publicKey || !publicKey.trim()) return;
+
+    try {
+        await trustedKeys.addKey(name.trim(), publicKey);
+        updateTrustedKeysUI();
+    } catch (e) {
+        log('Invalid public key: ' + e.message, 'error');
+    }
+}
+
+// =============================================================================
+// MODE SELECTION & UI
+// =============================================================================
+
+function setMode(mode) {
+    currentMode = mode;
+
+    document.querySelectorAll('.mode-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelector(`.mode-btn.${mode}`).classList.add('active');
+
+    document.getElementById('senderPanel').classList.toggle('hidden', mode !== 'sender');
+    document.getElementById('listenerPanel').classList.toggle('hidden', mode !== 'listener');
+
+    log(`Switched to ${mode} mode`, 'info');
+}
+
+// =============================================================================
+// FILE HANDLING
+// =============================================================================
+
+function updateEstimatedTime() {
+    if (selectedFiles.length === 0) return;
+
+    // Estimate with the codec trial on the start of the selection
+    const size = selectionSize();
+    let estimatedSize = size;
+    let codecNote = '';
+    if (CONFIG.USE_COMPRESSION && size > CONFIG.COMPRESSION_MIN_SIZE && codecEstimate) {
+        estimatedSize = size * Math.min(codecEstimate.ratio, 1);
+        codecNote = ` (${describeCodecChoice(codecEstimate)})`;
+    }
+
+    const modulation = getModulation(CONFIG.MODULATION);
+    let bitsPerSecond = CONFIG.NUM_CHANNELS * modulation.bitsPerSymbol * (1000 / CONFIG.SYMBOL_DURATION);
+    if (modulation.kind === 'ofdm') {
+        const plan = planOfdmCarriers(audioContext ? audioContext.sampleRate : CONFIG.SAMPLE_RATE);
+        const carriers = ofdmFrequencies(plan).length;
+        bitsPerSecond = ofdmDataCarrierCount(carriers) * modulation.bitsPerSymbol * (1000 / ofdmSymbolDuration(plan.spacing));
+    }
+    const estimatedTime = estimatedSize / (CONFIG.CHUNK_SIZE * bitsPerSecond);
+    document.getElementById('estimatedTime').textContent = formatTime(estimatedTime) + codecNote;
+}
+
+// Runs the codec trial on the start of the selection (its first file) for the estimated time
+async function estimateCompression(files) {
+    const file = files[0].file;
+    if (!CONFIG.USE_COMPRESSION || file.size <= CONFIG.COMPRESSION_MIN_SIZE) return;
+
+    try {
+        const sample = new Uint8Array(await file.slice(0, CONFIG.COMPRESSION_SAMPLE_SIZE).arrayBuffer());
+        const choice = await resolveCodec(sample);
+        if (choice.ratio === undefined) {
+            choice.ratio = (await choice.codec.compress(sample)).length / sample.length;
+        }
+
+        // Something else may have been selected meanwhile
+        if (files !== selectedFiles) return;
+        codecEstimate = choice;
+        log(`Compression estimate: ${describeCodecChoice(choice)}`, 'info');
+        updateEstimatedTime();
+    } catch (e) {
+        log(`Compression estimate failed: ${e.message}`, 'warning');
+    }
+}
+
+// Modulation for DATA/END frames of the next transfer; receivers learn it from META
+// Switching bands invalidates the channels calibrated in the other one
+function selectFrequencyBand(id) {
+    const band = applyFrequencyBand(id);
+    optimalFrequencies = [];
+    channelGains = new Map();
+    isCalibrated = false;
+
+    const bandSelect = document.getElementById('bandSelect');
+    if (bandSelect) bandSelect.value = band.id;
+    document.getElementById('sendBtn').disabled = true;
+    document.getElementById('saveAudioBtn').disabled = true;
+
+    updateSpectrogramScales();
+    updateEstimatedTime();
+    log(`Frequency band set to ${band.name}`, 'info');
+}
+
+function updateSpectrogramScales() {
+    document.querySelectorAll('.spectrogram-scale').forEach(scale => {
+        const labels = scale.querySelectorAll('span');
+        labels.forEach((label, i) => {
+            const freq = CONFIG.FREQ_MAX - i * (CONFIG.FREQ_MAX - CONFIG.FREQ_MIN) / (labels.length - 1);
+            label.textContent = `${(freq / 1000).toFixed(1)}kHz`;
+        });
+    });
+}
+
+function selectModulation(id) {
+    CONFIG.MODULATION = getModulation(id).id;
+    log(`Modulation set to ${getModulation(id).name}`, 'info');
+    updateEstimatedTime();
+}
+
+function handleFileSelect(event) {
+    const files = Array.from(event.target.files || []);
+    if (files.length > 0) {
+        // A folder picked through the webkitdirectory input carries each file's relative path
+        setSelectedFiles(files.map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    }
+}
+
+// Typed or pasted text goes through the same pipeline as a file; META marks it as a
+// message so the receiver shows it instead of offering a download
+function selectTextMessage() {
+    const text = document.getElementById('messageInput').value;
+    if (!text) {
+        log('Type or paste a message first', 'warning');
+        return;
+    }
+
+    const file = new File([text], 'message.txt', { type: 'text/plain' });
+    setSelectedFiles([{ file, path: file.name, message: true }]);
+}
+
+function setSelectedFiles(files) {
+    selectedFiles = files;
+    codecEstimate = null;
+
+    const name = selectionName();
+    const message = isMessageSelected();
+    document.getElementById('fileName').textContent = message ? 'Text message' :
+        files.length > 1 ? `${name} (${files.length} files)` : name;
+    document.getElementById('fileSize').textContent = formatFileSize(selectionSize());
+    updateEstimatedTime();
+    estimateCompression(files);
+    document.getElementById('fileInfo').classList.remove('hidden');
+    document.getElementById('senderStatus').textContent =
+        `${message ? 'Message' : 'File'} ready! Click "Auto-Calibrate & Send" to begin.`;
+
+    document.getElementById('quickSendBtn').disabled = false;
+    document.getElementById('manualCalibrateBtn').disabled = false;
+
+    if (isCalibrated) {
+        document.getElementById('sendBtn').disabled = false;
+        document.getElementById('saveAudioBtn').disabled = false;
+    }
+
+    if (message) {
+        log(`Text message selected (${formatFileSize(selectionSize())})`, 'success');
+    } else if (files.length > 1) {
+        log(`Selected ${files.length} files: ${name} (${formatFileSize(selectionSize())})`, 'success');
+    } else {
+        log(`File selected: ${name} (${formatFileSize(selectionSize())})`, 'success');
+    }
+}
+
+function isMessageSelected() {
+    return selectedFiles.length === 1 && !!selectedFiles[0].message;
+}
+
+function selectionSize() {
+    return selectedFiles.reduce((total, entry) => total + entry.file.size, 0);
+}
+
+// A single file keeps its name; a bundle is named after its common top-level folder
+function selectionName() {
+    if (selectedFiles.length === 1) return selectedFiles[0].file.name;
+
+    const folders = new Set(selectedFiles.map(entry => entry.path.includes('/') ? entry.path.split('/')[0] : null));
+    const [folder] = folders;
+    return folders.size === 1 && folder ? folder : `${selectedFiles.length} files`;
+}
+
+async function handleDrop(event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('dragover');
+
+    // Directory entries are only reachable through the drop's items, and only while the event is dispatched
+    const entries = Array.from(event.dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(entry => entry);
+
+    const files = entries.length > 0
+        ? await collectDroppedFiles(entries)
+        : Array.from(event.dataTransfer.files).map(file => ({ file, path: file.name }));
+
+    if (files.length > 0) {
+        setSelectedFiles(files);
+    }
+}
+
+// Walks dropped FileSystemEntry trees into [{ file, path }]
+async function collectDroppedFiles(entries) {
+    const files = [];
+
+    const visit = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns the directory in batches until an empty one
+            for (;;) {
+                const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (batch.length === 0) break;
+                for (const child of batch) {
+                    await visit(child);
+                }
+            }
+        }
+    };
+
+    for (const entry of entries) {
+        await visit(entry);
+    }
+    return files;
+}
+
+// Bytes and name of what will be sent: a single file or message as is, several files as a bundle
+async function readSelection() {
+    if (selectedFiles.length === 1) {
+        return {
+            bytes: new Uint8Array(await selectedFiles[0].file.arrayBuffer()),
+            name: selectionName(),
+            bundle: null,
+            message: isMessageSelected()
+        };
+    }
+
+    const files = [];
+    for (const entry of selectedFiles) {
+        files.push({ path: entry.path, bytes: new Uint8Array(await entry.file.arrayBuffer()) });
+    }
+    const bundle = await buildBundle(files);
+    return { bytes: bundle.bytes, name: selectionName(), bundle: bundle, message: false };
+}
+
+function handleDragOver(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('dragover');
+}
+
+function handleDragLeave(event) {
+    event.currentTarget.classList.remove('dragover');
+}
+
+// =============================================================================
+// QUICK SEND
+// =============================================================================
+
+async function quickSend() {
+    if (selectedFiles.length === 0) return;
+
+    document.getElementById('quickSendBtn').disabled = true;
+    document.getElementById('senderStatus').textContent = 'Quick calibrating environment...';
+
+    log('Starting quick calibration before send...', 'info');
+
+    document.getElementById('senderCalibration').classList.remove('hidden');
+
+    const success = await performCalibration(true);
+
+    if (success) {
+        log('Quick calibration successful, starting transmission...', 'success');
+        setTimeout(() => startSending(), 500);
+    } else {
+        log('Quick calibration failed', 'error');
+        document.getElementById('quickSendBtn').disabled = false;
+    }
+}
+
+async function manualCalibrate() {
+    document.getElementById('manualCalibrateBtn').disabled = true;
+    document.getElementById('senderStatus').textContent = 'Calibrating environment (3 seconds)...';
+    document.getElementById('senderCalibration').classList.remove('hidden');
+
+    const success = await performCalibration(false);
+
+    if (success) {
+        document.getElementById('sendBtn').disabled = false;
+        document.getElementById('saveAudioBtn').disabled = selectedFiles.length === 0;
+        document.getElementById('senderStatus').textContent = 'Calibration complete! Ready to send.';
+    }
+
+    document.getElementById('manualCalibrateBtn').disabled = false;
+}
+
+// =============================================================================
+// TRANSMISSION (SENDER) WITH ACK/NACK
+// =============================================================================
+
+async function startSending() {
+    if (selectedFiles.length === 0 || optimalFrequencies.length === 0) {
+        log('Please calibrate first', 'warning');
+        return;
+    }
+
+    if (!await initAudio()) return;
+
+    isSending = true;
+    transferCancelled = false;
+    chunkRetryMap.clear();
+    signalMonitor.reset();
+    powerController.reset();
+
+    document.getElementById('sendBtn').disabled = true;
+    document.getElementById('quickSendBtn').disabled = true;
+    document.getElementById('stopSendBtn').disabled = false;
+    document.getElementById('senderStatus').textContent = 'Reading file...';
+    document.getElementById('sendProgress').classList.remove('hidden');
+    document.getElementById('chordDisplay').classList.remove('hidden');
+    document.getElementById('senderVisualizer').classList.remove('hidden');
+    document.getElementById('signalStrengthPanel').classList.remove('hidden');
+
+    log('Starting file transmission with ACK/NACK protocol...', 'info');
+
+    const passphrase = document.getElementById('senderPassphrase').value;
+    const sign = document.getElementById('signTransfer').checked;
+
+    // Sending the same selection again reuses the prepared payload and its transfer id,
+    // so a listener that kept the chunks of an interrupted attempt can resume it
+    if (lastTransfer && lastTransfer.files === selectedFiles &&
+        lastTransfer.passphrase === passphrase && lastTransfer.sign === sign) {
+        Object.assign(lastTransfer.metadata, transferModulation(audioContext.sampleRate));
+        log(`Sending transfer ${lastTransfer.metadata.transferId} again; a listener that kept its chunks can resume`, 'info');
+    } else {
+        const selection = await readSelection();
+        document.getElementById('senderStatus').textContent = 'Preparing file...';
+
+        const { metadata, payload } = await prepareTransfer(selection.bytes, selection.name, {
+            passphrase: passphrase,
+            sign: sign,
+            bundle: selection.bundle,
+            message: selection.message
+        });
+        lastTransfer = { files: selectedFiles, passphrase, sign, metadata, payload };
+    }
+
+    await transmitFileWithAck(lastTransfer.metadata, lastTransfer.payload);
+}
+
+// Compresses, hashes, optionally signs and encrypts a file, and builds its META object.
+// Shared by the live sender and the offline renderer.
+// options: { passphrase, sign, broadcast, sampleRate, bundle, message }. A bundle (see
+// buildBundle) is not compressed again: its entries already are. A message is UTF-8 text
+// the receiver displays inline.
+async function prepareTransfer(fileData, filename, options = {}) {
+    const originalSize = fileData.length;
+    let codec = null;
+
+    // Receiver checks the SHA-256 of the original file after decrypting and decompressing
+    const fileHash = await sha256(fileData);
+
+    if (!options.bundle) {
+        const compressed = await compressPayload(fileData);
+        fileData = compressed.bytes;
+        codec = compressed.codec;
+    }
+
+    // An encrypted transfer carries the hash inside the ciphertext: in the clear META it
+    // would let anyone listening check guesses at short payloads without the passphrase
+    let encryption = null;
+    if (options.passphrase) {
+        const encrypted = await encryptPayload(concatBytes([fileHash, fileData]), options.passphrase);
+        fileData = encrypted.ciphertext;
+        encryption = { salt: bytesToBase64(encrypted.salt), iv: bytesToBase64(encrypted.iv) };
+        log('File encrypted with AES-GCM', 'success');
+    }
+
+    const sampleRate = options.sampleRate || (audioContext ? audioContext.sampleRate : CONFIG.SAMPLE_RATE);
+    const timestamp = Date.now();
+
+    const metadata = {
+        // Listeners keep partial transfers under this id and resume them when it comes again.
+        // Random rather than derived from the file, which META must not reveal.
+        transferId: `${bytesToHex(crypto.getRandomValues(new Uint8Array(8)))}-${timestamp}`,
+        filename: filename,
+        size: fileData.length,
+        originalSize: originalSize,
+        codec: codec || undefined,
+        manifest: options.bundle ? options.bundle.manifestLength : undefined,
+        files: options.bundle ? options.bundle.fileCount : undefined,
+        message: options.message || undefined,
+        sha256: encryption ? undefined : bytesToHex(fileHash),
+        encryption: encryption,
+        signature: null,
+        chunks: Math.ceil(fileData.length / CONFIG.CHUNK_SIZE),
+        timestamp: timestamp,
+        // A broadcast (e.g. a saved recording) cannot hear replies
+        useAck: CONFIG.USE_ACK && !options.broadcast,
+        repair: CONFIG.USE_REPAIR && !options.broadcast,
+        ...transferModulation(sampleRate),
+        fec: CONFIG.USE_FEC ? CONFIG.FEC_PARITY_BYTES : 0
+    };
+
+    if (options.sign) {
+        metadata.signature = await signingIdentity.sign(await signedMetaBytes(metadata, fileData));
+        log(`Transfer signed (key ${metadata.signature.fingerprint})`, 'success');
+    }
+
+    return { metadata, payload: fileData };
+}
+
+// META fields for the selected DATA/END modulation. OFDM subcarriers are laid out for the
+// rate the transfer will be synthesized at.
+function transferModulation(sampleRate) {
+    const modulation = getModulation(CONFIG.MODULATION);
+    return {
+        modulation: modulation.id,
+        ofdm: modulation.kind === 'ofdm' ? planOfdmCarriers(sampleRate) : undefined
+    };
+}
+
+// Compresses if enabled and the data is large enough, with the configured codec or the
+// one that does best on its start; returns { bytes, codec } (codec null if uncompressed)
+async function compressPayload(bytes, name = 'file') {
+    if (!CONFIG.USE_COMPRESSION || bytes.length <= CONFIG.COMPRESSION_MIN_SIZE) {
+        return { bytes, codec: null };
+    }
+
+    const choice = await resolveCodec(bytes.subarray(0, CONFIG.COMPRESSION_SAMPLE_SIZE));
+    if (choice.trials) {
+        log(`Codec trial: ${choice.trials.map(t => `${t.codec.id} ${formatFileSize(t.size)}`).join(', ')} ` +
+            `→ ${describeCodecChoice(choice)}`, 'info');
+    }
+    const candidate = choice.codec;
+
+    if (candidate.id === 'none') {
+        return { bytes, codec: null };
+    }
+
+    log(`Compressing ${name} (${candidate.name})...`, 'info');
+
+    const compressed = await candidate.compress(bytes);
+    const ratio = compressor.getCompressionRatio(bytes, compressed);
+
+    if (compressed.length >= bytes.length) {
+        log('Compression not beneficial, sending uncompressed', 'info');
+        return { bytes, codec: null };
+    }
+
+    log(`Compressed ${name}: ${formatFileSize(bytes.length)} → ${formatFileSize(compressed.length)} (${ratio}% reduction)`, 'success');
+    return { bytes: compressed, codec: candidate.id };
+}
+
+// Renders the whole transfer into a WAV file instead of the speakers, so it can be
+// played later from another device
+async function saveTransmissionAsAudio() {
+    if (selectedFiles.length === 0 || optimalFrequencies.length === 0) {
+        log('Please calibrate first', 'warning');
+        return;
+    }
+
+    document.getElementById('saveAudioBtn').disabled = true;
+    document.getElementById('senderStatus').textContent = 'Rendering transmission to audio...';
+
+    try {
+        const selection = await readSelection();
+        const { metadata, payload } = await prepareTransfer(selection.bytes, selection.name, {
+            passphrase: document.getElementById('senderPassphrase').value,
+            sign: document.getElementById('signTransfer').checked,
+            bundle: selection.bundle,
+            message: selection.message,
+            broadcast: true,
+            sampleRate: CONFIG.SAMPLE_RATE
+        });
+
+        const samples = renderTransfer(metadata, payload, {
+            sampleRate: CONFIG.SAMPLE_RATE,
+            frequencies: optimalFrequencies,
+            power: powerController.getPower()
+        });
+        const wav = encodeWav(samples, CONFIG.SAMPLE_RATE);
+
+        downloadBlob(wav, `${selection.name}.sonic.wav`);
+
+        document.getElementById('senderStatus').textContent = '✅ Transmission saved as audio';
+        log(`Saved ${formatTime(samples.length / CONFIG.SAMPLE_RATE)} of audio (${formatFileSize(wav.size)}) on ${optimalFrequencies.join(', ')} Hz`, 'success');
+    } catch (error) {
+        log(`Audio export failed: ${error.message}`, 'error');
+    }
+
+    document.getElementById('saveAudioBtn').disabled = false;
+}
+
+async function transmitFileWithAck(metadata, fileData) {
+    try {
+        startSendVisualization();
+        startSignalMonitoring();
+
+        // Announce our channels, then send preamble
+        document.getElementById('senderStatus').textContent = 'Sending channel beacon...';
+        await sendBeacon();
+        await new Promise(resolve => setTimeout(resolve, CONFIG.PACKET_DELAY));
+
+        document.getElementById('senderStatus').textContent = 'Sending sync signal...';
+        await sendPreamble();
+
+        // Send metadata
+        document.getElementById('senderStatus').textContent = 'Sending file information...';
+        const metaFrame = buildMetaFrame(metadata);
+        let ackEnabled = metadata.useAck;
+        let metaAcked = false;
+        resumeRequested = false;
+        for (let retry = 0; retry < CONFIG.MAX_RETRIES && !metaAcked; retry++) {
+            metaAcked = await sendPacketWithAck(metaFrame, ackEnabled);
+        }
+
+        // A listener that kept chunks of this transfer from an earlier session follows its
+        // META ACK with a REPAIR bitmap of the chunks it still needs. Listen for it straight
+        // away, before the usual gap, so its start is not missed.
+        let resumeRequest = null;
+        if (metaAcked && resumeRequested) {
+            document.getElementById('senderStatus').textContent = '👂 Receiver is resuming, waiting for its chunk list...';
+            resumeRequest = await waitForRepairRequest();
+        }
+        await new Promise(resolve => setTimeout(resolve, CONFIG.PACKET_DELAY));
+
+        if (!metaAcked) {
+            // Nobody is answering - fall back to one-way broadcast instead of timing out on every chunk
+            log('No receiver acknowledged the metadata, continuing without ACK', 'warning');
+            ackEnabled = false;
+        }
+
+        log(`Metadata sent: ${metadata.filename} (${metadata.chunks} chunks)`, 'info');
+
+        const totalChunks = Math.ceil(fileData.length / CONFIG.CHUNK_SIZE);
+        let chunkOrder = Array.from({ length: totalChunks }, (_, i) => i);
+
+        if (metaAcked && resumeRequested) {
+            if (resumeRequest) {
+                chunkOrder = decodeChunkBitmap(resumeRequest.body, totalChunks);
+                log(`Resuming: receiver already has ${totalChunks - chunkOrder.length}/${totalChunks} chunks`, 'success');
+            } else {
+                log('Receiver offered to resume but sent no chunk list, sending every chunk', 'warning');
+            }
+        }
+
+        // Send file data
+        const fecEncoder = metadata.fec ? new ReedSolomonCodec(metadata.fec) : null;
+        let mode = dataMode(metadata);
+        let successfulChunks = 0;
+        rateController.start(metadata.modulation, ackEnabled);
+
+        for (let n = 0; n < chunkOrder.length && !transferCancelled; n++) {
+            const i = chunkOrder[n];
+            const frame = buildDataFrame(fileData, i, fecEncoder);
+
+            // Try sending with retry
+            let sent = false;
+            for (let retry = 0; retry < CONFIG.MAX_RETRIES && !sent; retry++) {
+                if (retry > 0) {
+                    log(`Retrying chunk ${i} (attempt ${retry + 1}/${CONFIG.MAX_RETRIES})`, 'warning');
+                }
+
+                sent = await sendPacketWithAck(frame, ackEnabled, mode);
+                rateController.recordResult(sent);
+                mode = await adaptRate(mode);
+
+                if (sent) {
+                    successfulChunks++;
+                }
+            }
 
-            analyser = audioContext.createAnalyser();
-            analyser.fftSize = CONFIG.FFT_SIZE;
-            analyser.smoothingTimeConstant = 0.3;
+            if (!sent) {
+                log(`Failed to send chunk ${i} after ${CONFIG.MAX_RETRIES} attempts`, 'error');
+                chunkRetryMap.set(i, frame);
+            }
+
+            // Update progress; chunks the receiver already had count as done
+            const progress = ((totalChunks - chunkOrder.length + n + 1) / totalChunks) * 100;
+            document.getElementById('progressText').textContent = `${Math.round(progress)}%`;
+            document.getElementById('progressFill').style.width = `${progress}%`;
+            document.getElementById('senderStatus').textContent =
+                `Sending chunk ${i + 1}/${totalChunks} (${Math.round(progress)}%)`;
 
-            const source = audioContext.createMediaStreamSource(mediaStream);
-            source.connect(analyser);
+            await new Promise(resolve => setTimeout(resolve, CONFIG.PACKET_DELAY));
+        }
 
-            log('Microphone access granted', 'success');
+        // Retry failed chunks
+        if (chunkRetryMap.size > 0 && !transferCancelled) {
+            log(`Retrying ${chunkRetryMap.size} failed chunks...`, 'warning');
+            for (const [idx, frame] of chunkRetryMap.entries()) {
+                const sent = await sendPacketWithAck(frame, ackEnabled, mode);
+                rateController.recordResult(sent);
+                mode = await adaptRate(mode);
+
+                if (sent) {
+                    chunkRetryMap.delete(idx);
+                    successfulChunks++;
+                }
+            }
         }
 
-        return true;
+        if (transferCancelled) {
+            document.getElementById('senderStatus').textContent = '⏹️ Transmission stopped';
+            log('Transmission stopped by user', 'warning');
+        } else {
+            await sendEndSignal(0, mode);
+            log(`Transmission complete! ${successfulChunks}/${chunkOrder.length} chunks sent successfully`, 'success');
+
+            if (metadata.repair) {
+                await serveRepairRequests(fileData, fecEncoder, ackEnabled, mode);
+            }
+
+            document.getElementById('senderStatus').textContent = transferCancelled ?
+                '⏹️ Transmission stopped' : '✅ Transmission complete!';
+            document.getElementById('progressText').textContent = '100%';
+            document.getElementById('progressFill').style.width = '100%';
+        }
+
+        finishSending();
+
     } catch (error) {
-        log(`Error accessing microphone: ${error.message}`, 'error');
-        return false;
+        log(`Transmission error: ${error.message}`, 'error');
+        finishSending();
     }
 }
 
-// =============================================================================
-// CALIBRATION
-// =============================================================================
+function finishSending() {
+    isSending = false;
+    stopSendVisualization();
+    stopSignalMonitoring();
+    document.getElementById('sendBtn').disabled = false;
+    document.getElementById('quickSendBtn').disabled = false;
+    document.getElementById('stopSendBtn').disabled = true;
+}
 
-async function performCalibration(isQuick = false) {
-    if (!await initAudio()) return false;
+// Lets the user give up; takes effect at the next packet boundary
+function stopSending() {
+    transferCancelled = true;
+    document.getElementById('stopSendBtn').disabled = true;
 
-    log(`Starting ${isQuick ? 'quick' : 'full'} calibration...`, 'info');
+    if (pendingRepair) {
+        pendingRepair.finish(null);
+    }
+}
 
-    const duration = isQuick ? 2000 : CONFIG.CALIBRATION_DURATION;
-    const samples = [];
-    const startTime = Date.now();
+// END carries the repair round in its seq so the receiver handles each round once
+async function sendEndSignal(round, mode) {
+    document.getElementById('senderStatus').textContent = 'Sending completion signal...';
+    const endFrame = buildFrame(FRAME_TYPES.END, round);
+    await sendPacket(endFrame, mode.frequencies, mode.symbolDuration, mode.modulation);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await sendPacket(endFrame, mode.frequencies, mode.symbolDuration, mode.modulation);
+}
 
-    return new Promise((resolve) => {
-        const interval = setInterval(() => {
-            const bufferLength = analyser.frequencyBinCount;
-            const dataArray = new Uint8Array(bufferLength);
-            analyser.getByteFrequencyData(dataArray);
-            samples.push([...dataArray]);
+// Announces the rate controller's next profile in a RATE frame on the base chord and
+// returns the DATA/END mode to continue with. Both ends switch only once it is ACKed;
+// if they still fall out of step, the lost ACKs that follow step the rate down again.
+async function adaptRate(mode) {
+    const level = rateController.proposal();
+    if (level === null || transferCancelled) return mode;
 
-            const elapsed = Date.now() - startTime;
-            if (elapsed >= duration) {
-                clearInterval(interval);
-                analyzeCalibrationData(samples);
-                resolve(true);
+    const profile = RATE_PROFILES[level];
+    const frame = buildRateFrame(profile, level);
+    let acked = false;
+
+    await new Promise(resolve => setTimeout(resolve, CONFIG.PACKET_DELAY));
+    for (let retry = 0; retry < CONFIG.MAX_RETRIES && !acked; retry++) {
+        acked = await sendPacketWithAck(frame);
+    }
+
+    if (!acked) {
+        log(`Receiver did not confirm the switch to ${describeRateProfile(profile)}`, 'warning');
+        rateController.hold();
+        return mode;
+    }
+
+    const change = level > rateController.level ? 'raised' : (level < rateController.level ? 'lowered' : 'confirmed');
+    log(`Data rate ${change}: ${describeRateProfile(profile)}`, change === 'raised' ? 'success' : 'warning');
+    rateController.apply(level);
+    return profileMode(profile);
+}
+
+// Post-transfer window: resend exactly the chunks the receiver reports missing,
+// until it reports none, stops asking, or the user gives up
+async function serveRepairRequests(fileData, fecEncoder, ackEnabled, mode) {
+    const totalChunks = Math.ceil(fileData.length / CONFIG.CHUNK_SIZE);
+
+    for (let round = 1; round <= CONFIG.MAX_REPAIR_ROUNDS && !transferCancelled; round++) {
+        document.getElementById('senderStatus').textContent = '👂 Waiting for repair request...';
+
+        const request = await waitForRepairRequest();
+        if (!request) {
+            if (!transferCancelled) {
+                log('No repair request received, assuming the receiver is done', 'info');
             }
-        }, 50);
-    });
+            return;
+        }
+
+        const missing = decodeChunkBitmap(request.body, totalChunks);
+        if (missing.length === 0) {
+            log('Receiver confirmed the file is complete', 'success');
+            return;
+        }
+
+        log(`Repair round ${round}: resending ${missing.length} missing chunk(s)`, 'warning');
+        await new Promise(resolve => setTimeout(resolve, CONFIG.ACK_TURNAROUND));
+
+        for (let n = 0; n < missing.length && !transferCancelled; n++) {
+            document.getElementById('senderStatus').textContent =
+                `🔧 Repair round ${round}: chunk ${n + 1}/${missing.length}`;
+            const sent = await sendPacketWithAck(buildDataFrame(fileData, missing[n], fecEncoder), ackEnabled, mode);
+            rateController.recordResult(sent);
+            mode = await adaptRate(mode);
+            await new Promise(resolve => setTimeout(resolve, CONFIG.PACKET_DELAY));
+        }
+
+        if (!transferCancelled) {
+            await sendEndSignal(round, mode);
+        }
+    }
 }
 
-function analyzeCalibrationData(samples) {
-    const bufferLength = samples[0].length;
-    const sampleRate = audioContext.sampleRate;
+// Same half-duplex turnaround as waitForAck, but for the receiver's REPAIR frame
+function waitForRepairRequest() {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => finish(null), CONFIG.REPAIR_WINDOW);
 
-    // Calculate average spectrum
-    const avgSpectrum = new Array(bufferLength).fill(0);
-    for (const sample of samples) {
-        for (let i = 0; i < bufferLength; i++) {
-            avgSpectrum[i] += sample[i] / samples.length;
+        function finish(frame) {
+            clearTimeout(timer);
+            pendingRepair = null;
+            stopReceptionLoop();
+            resolve(frame);
         }
+
+        pendingRepair = { finish };
+        startReceptionLoop();
+    });
+}
+
+function handleRepairPacket(frame) {
+    if (!pendingRepair || !isFrameIntact(frame, frame.body)) return;
+    pendingRepair.finish(frame);
+}
+
+// `mode` (see dataMode) selects the DATA/END channels; control frames use the 2-FSK chord
+async function sendPacketWithAck(frame, expectAck = true, mode = null) {
+    if (mode) {
+        await sendPacket(frame, mode.frequencies, mode.symbolDuration, mode.modulation);
+    } else {
+        await sendPacket(frame);
     }
 
-    noiseFloor = avgSpectrum;
+    // Broadcast packets (or ACK disabled) are fire-and-forget
+    if (!expectAck || !CONFIG.USE_ACK) return true;
 
-    // Find quietest frequency bands
-    const freqBins = [];
-    for (let freq = CONFIG.FREQ_MIN; freq <= CONFIG.FREQ_MAX - (CONFIG.NUM_CHANNELS * CONFIG.CHANNEL_SPACING); freq += 50) {
-        const bin = Math.floor(freq * bufferLength / (sampleRate / 2));
-        const noiseLevels = [];
+    return waitForAck(frame[0], (frame[1] << 8) | frame[2]);
+}
+
+// Half-duplex turnaround: once the packet has been played the sender listens on the
+// same channels until the receiver's ACK/NACK frame arrives or ACK_TIMEOUT expires.
+function waitForAck(type, seq) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => finish(false), CONFIG.ACK_TIMEOUT);
 
-        for (let ch = 0; ch < CONFIG.NUM_CHANNELS; ch++) {
-            const chFreq = freq + (ch * CONFIG.CHANNEL_SPACING);
-            const chBin = Math.floor(chFreq * bufferLength / (sampleRate / 2));
-            const noise = avgSpectrum[chBin] || 0;
-            noiseLevels.push(noise);
+        function finish(acked) {
+            clearTimeout(timer);
+            pendingAck = null;
+            stopReceptionLoop();
+            resolve(acked);
         }
 
-        const avgNoise = noiseLevels.reduce((a, b) => a + b, 0) / noiseLevels.length;
-        freqBins.push({ freq, avgNoise });
+        pendingAck = { type, seq, finish };
+        startReceptionLoop();
+    });
+}
+
+// ACK/NACK frames echo the acknowledged frame's seq; the body is its type and the
+// receiver's SNR for it in dB (ACK_SNR_UNKNOWN when not measured), plus ACK_FLAG_RESUME
+// for a META the receiver already holds chunks of
+function handleAckPacket(frame) {
+    if (!pendingAck || !isFrameIntact(frame, frame.body)) return;
+
+    // Ignore late replies that belong to an earlier packet
+    if (frame.seq !== pendingAck.seq || frame.body[0] !== pendingAck.type) return;
+
+    if (frame.body.length > 1 && frame.body[1] !== ACK_SNR_UNKNOWN) {
+        rateController.recordSNR(frame.body[1]);
     }
 
-    freqBins.sort((a, b) => a.avgNoise - b.avgNoise);
-    const baseFreq = freqBins[0].freq;
+    if (frame.body[0] === FRAME_TYPES.META) {
+        resumeRequested = frame.body.length > 2 && (frame.body[2] & ACK_FLAG_RESUME) !== 0;
+    }
 
-    optimalFrequencies = [];
-    for (let i = 0; i < CONFIG.NUM_CHANNELS; i++) {
-        optimalFrequencies.push(baseFreq + (i * CONFIG.CHANNEL_SPACING));
+    const isAck = frame.type === FRAME_TYPES.ACK;
+    if (!isAck) {
+        log(`NACK received for packet ${frame.seq}`, 'warning');
     }
+    pendingAck.finish(isAck);
+}
 
-    isCalibrated = true;
+async function sendPreamble() {
+    for (let i = 0; i < 3; i++) {
+        await playChord(optimalFrequencies, 150);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
 
-    log(`Calibration complete! Using ${CONFIG.NUM_CHANNELS} channels starting at ${baseFreq} Hz`, 'success');
-    log(`Frequencies: ${optimalFrequencies.map(f => f + 'Hz').join(', ')}`, 'info');
+async function sendPacket(frame, frequencies = optimalFrequencies, symbolDuration = CONFIG.SYMBOL_DURATION, modulation = MODULATIONS.fsk2) {
+    const binary = encodeToBinary(frame);
+    const bits = FRAME_SYNC + binary + FRAME_POSTAMBLE;
+    await transmitBinaryChord(bits, frequencies, symbolDuration, modulation);
+}
 
-    updateFrequencyDisplay();
-    drawSpectrogram(samples);
-    updatePresetUI();
+// Announces every one of our channel frequencies on the fixed beacon tone,
+// so the receiver does not depend on reaching the same calibration result
+async function sendBeacon() {
+    await sendPacket(buildBeaconFrame(optimalFrequencies), [CONFIG.BEACON_FREQ], CONFIG.BEACON_SYMBOL_DURATION);
 }
 
-function updateFrequencyDisplay() {
-    const freqText = optimalFrequencies.map(f => `${Math.round(f)}Hz`).join(', ');
+function encodeToBinary(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += bytes[i].toString(2).padStart(8, '0');
+    }
+    return binary;
+}
 
-    const senderFreq = document.getElementById('senderSelectedFreq');
-    const listenerFreq = document.getElementById('listenerSelectedFreq');
+async function transmitBinaryChord(binaryString, frequencies = optimalFrequencies, symbolDuration = CONFIG.SYMBOL_DURATION, modulation = MODULATIONS.fsk2) {
+    const amplitude = channelAmplitude(powerController.getPower(), frequencies.length, modulation);
+    await playSamples(synthesizeChord(binaryString, frequencies, symbolDuration, audioContext.sampleRate, amplitude, modulation));
+}
 
-    if (senderFreq) senderFreq.textContent = freqText;
-    if (listenerFreq) listenerFreq.textContent = freqText;
+async function playChord(frequencies, duration) {
+    // Use adaptive power
+    const power = powerController.getPower() / CONFIG.NUM_CHANNELS;
+    await playSamples(synthesizeTone(frequencies, duration, audioContext.sampleRate, power));
+}
 
-    const chordIndicator = document.getElementById('chordIndicator');
-    if (chordIndicator) {
-        chordIndicator.innerHTML = optimalFrequencies
-            .map(f => `<div class="chord-freq">${Math.round(f)} Hz</div>`)
-            .join('');
+// Plays rendered PCM and resolves once it has finished on the audio clock
+async function playSamples(samples) {
+    const buffer = audioContext.createBuffer(1, samples.length, audioContext.sampleRate);
+    buffer.getChannelData(0).set(samples);
+
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(audioContext.destination);
+
+    const startTime = audioContext.currentTime + 0.02;
+    source.start(startTime);
+
+    await new Promise(resolve => setTimeout(resolve, (startTime + buffer.duration - audioContext.currentTime) * 1000));
+}
+
+// =============================================================================
+// MODULATOR (PCM SYNTHESIS)
+// =============================================================================
+
+// Short ramps keep the on/off edges from splattering energy across the band
+const EDGE_RAMP_MS = 2;
+
+// Per-channel symbol alphabets. Every mode is decoded by ChordDemodulator (OFDM by its
+// OfdmDemodulator subclass); the mode used for DATA/END frames is announced in META, so
+// only the receiver's second demodulator changes.
+const MODULATIONS = {
+    fsk2: { id: 'fsk2', name: '2-FSK', kind: 'fsk', bitsPerSymbol: 1 },
+    fsk4: { id: 'fsk4', name: '4-FSK', kind: 'fsk', bitsPerSymbol: 2 },
+    fsk8: { id: 'fsk8', name: '8-FSK', kind: 'fsk', bitsPerSymbol: 3 },
+    dpsk: { id: 'dpsk', name: 'DQPSK', kind: 'dpsk', bitsPerSymbol: 2 },
+    ofdm: { id: 'ofdm', name: 'OFDM', kind: 'ofdm', bitsPerSymbol: 2 }  // QPSK per subcarrier, see OFDM MODEM
+};
+
+function getModulation(id) {
+    return MODULATIONS[id] || MODULATIONS.fsk2;
+}
+
+// Channels and symbol timing of a transfer's DATA/END frames, as announced in its META
+function dataMode(metadata, chordFrequencies = optimalFrequencies) {
+    const modulation = getModulation(metadata.modulation);
+    if (modulation.kind === 'ofdm') {
+        return {
+            modulation: modulation,
+            frequencies: ofdmFrequencies(metadata.ofdm),
+            symbolDuration: ofdmSymbolDuration(metadata.ofdm.spacing)
+        };
     }
+    return { modulation: modulation, frequencies: chordFrequencies, symbolDuration: CONFIG.SYMBOL_DURATION };
 }
 
-function drawSpectrogram(samples) {
-    const canvas = currentMode === 'sender'
-        ? document.getElementById('senderSpectrogramCanvas')
-        : document.getElementById('listenerSpectrogramCanvas');
+// OFDM subcarrier peaks rarely coincide, so each gets power/√n instead of power/n
+function channelAmplitude(power, channels, modulation = MODULATIONS.fsk2) {
+    return modulation.kind === 'ofdm' ? power / Math.sqrt(channels) : power / channels;
+}
 
-    if (!canvas) return;
+// Tone offsets from the channel frequency. M-FSK tones are 4·FSK_DEVIATION/M apart, so
+// 2-FSK keeps the classic ±FSK_DEVIATION and 8-FSK still fits inside CHANNEL_SPACING.
+// DPSK and OFDM use the bare carriers.
+function modulationToneOffsets(modulation) {
+    if (modulation.kind !== 'fsk') return [0];
+
+    const tones = 1 << modulation.bitsPerSymbol;
+    const spacing = 4 * CONFIG.FSK_DEVIATION / tones;
+    const offsets = [];
+    for (let i = 0; i < tones; i++) {
+        offsets.push((i - (tones - 1) / 2) * spacing);
+    }
+    return offsets;
+}
 
-    const ctx = canvas.getContext('2d');
-    const bufferLength = samples[0].length;
-    const sampleRate = audioContext.sampleRate;
+// Gray coding: neighbouring tones / phases differ in a single bit
+function grayEncode(value) {
+    return value ^ (value >> 1);
+}
 
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+function grayDecode(gray) {
+    let value = gray;
+    for (let shift = gray >> 1; shift; shift >>= 1) {
+        value ^= shift;
+    }
+    return value;
+}
 
-    for (let x = 0; x < canvas.width; x++) {
-        const sampleIdx = Math.floor(x / canvas.width * samples.length);
-        if (sampleIdx >= samples.length) continue;
+// Bit groups are dealt round-robin across channels, so each symbol carries the next
+// numChannels × bitsPerSymbol bits in order; the last symbol is padded with 0s.
+function splitIntoSymbols(binaryString, numChannels, bitsPerSymbol) {
+    const bitsPerChord = numChannels * bitsPerSymbol;
+    const chords = Math.ceil(binaryString.length / bitsPerChord);
+    const padded = binaryString.padEnd(chords * bitsPerChord, '0');
 
-        const sample = samples[sampleIdx];
+    const symbols = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+        symbols.push([]);
+    }
 
-        for (let y = 0; y < canvas.height; y++) {
-            const freq = CONFIG.FREQ_MAX - (y / canvas.height) * (CONFIG.FREQ_MAX - CONFIG.FREQ_MIN);
-            const bin = Math.floor(freq * bufferLength / (sampleRate / 2));
-            const amplitude = sample[bin] || 0;
-            const intensity = amplitude / 255;
+    for (let s = 0; s < chords; s++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const offset = (s * numChannels + ch) * bitsPerSymbol;
+            symbols[ch].push(parseInt(padded.substr(offset, bitsPerSymbol), 2));
+        }
+    }
+    return symbols;
+}
 
-            let r, g, b;
-            if (intensity < 0.25) {
-                r = 0; g = 0; b = Math.floor(intensity * 4 * 128) + 128;
-            } else if (intensity < 0.5) {
-                r = 0; g = Math.floor((intensity - 0.25) * 4 * 255); b = 128;
-            } else if (intensity < 0.75) {
-                r = Math.floor((intensity - 0.5) * 4 * 255); g = 255; b = 0;
-            } else {
-                r = 255; g = 255 - Math.floor((intensity - 0.75) * 4 * 255); b = 0;
+// Symbols on air for a bit string, including the DPSK phase reference / OFDM training symbol
+function symbolCount(bitCount, numChannels, modulation) {
+    if (modulation.kind === 'ofdm') {
+        return 1 + Math.ceil(bitCount / (ofdmDataCarrierCount(numChannels) * modulation.bitsPerSymbol));
+    }
+
+    const reference = modulation.kind === 'dpsk' ? 1 : 0;
+    return Math.ceil(bitCount / (numChannels * modulation.bitsPerSymbol)) + reference;
+}
+
+function applyEdgeRamps(samples, sampleRate) {
+    const rampSamples = Math.min(Math.round(sampleRate * EDGE_RAMP_MS / 1000), samples.length >> 1);
+    for (let i = 0; i < rampSamples; i++) {
+        const gain = i / rampSamples;
+        samples[i] *= gain;
+        samples[samples.length - 1 - i] *= gain;
+    }
+    return samples;
+}
+
+// One tone per channel per symbol. FSK: phase-continuous tone picked from the mode's
+// alphabet. DPSK: a reference symbol, then carrier phase steps of k·90° (Gray coded).
+// Sample-exact symbol lengths let the receiver count samples.
+function synthesizeChord(binaryString, frequencies, symbolDuration, sampleRate, amplitude, modulation = MODULATIONS.fsk2, gains = channelGains) {
+    if (modulation.kind === 'ofdm') {
+        return synthesizeOfdm(binaryString, frequencies, sampleRate, amplitude);
+    }
+
+    const symbols = splitIntoSymbols(binaryString, frequencies.length, modulation.bitsPerSymbol);
+    const symbolSamples = Math.round(sampleRate * symbolDuration / 1000);
+    const isDpsk = modulation.kind === 'dpsk';
+    const totalSymbols = symbolCount(binaryString.length, frequencies.length, modulation);
+    const samples = new Float32Array(totalSymbols * symbolSamples);
+    const offsets = modulationToneOffsets(modulation);
+    const amplitudes = channelAmplitudes(amplitude, frequencies, gains);
+
+    for (let ch = 0; ch < frequencies.length; ch++) {
+        const toneAmplitude = amplitudes[ch];
+        if (isDpsk) {
+            const step = 2 * Math.PI * frequencies[ch] / sampleRate;
+            const values = [0].concat(symbols[ch].map(v => grayDecode(v)));
+            let phaseShift = 0;
+
+            for (let symbolIdx = 0; symbolIdx < values.length; symbolIdx++) {
+                phaseShift += values[symbolIdx] * Math.PI / 2;
+                const offset = symbolIdx * symbolSamples;
+                for (let n = 0; n < symbolSamples; n++) {
+                    samples[offset + n] += toneAmplitude * Math.cos(step * (offset + n) + phaseShift);
+                }
             }
+            continue;
+        }
 
-            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-            ctx.fillRect(x, y, 1, 1);
+        let phase = 0;
+        for (let symbolIdx = 0; symbolIdx < symbols[ch].length; symbolIdx++) {
+            const freq = frequencies[ch] + offsets[grayDecode(symbols[ch][symbolIdx])];
+            const step = 2 * Math.PI * freq / sampleRate;
+            const offset = symbolIdx * symbolSamples;
+
+            for (let n = 0; n < symbolSamples; n++) {
+                samples[offset + n] += toneAmplitude * Math.sin(phase);
+                phase += step;
+            }
+            phase %= 2 * Math.PI;
         }
     }
 
-    // Draw frequency lines
-    optimalFrequencies.forEach(freq => {
-        const y = (1 - (freq - CONFIG.FREQ_MIN) / (CONFIG.FREQ_MAX - CONFIG.FREQ_MIN)) * canvas.height;
-        ctx.strokeStyle = 'rgba(255, 107, 107, 0.8)';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(canvas.width, y);
-        ctx.stroke();
-    });
+    return applyEdgeRamps(samples, sampleRate);
+}
+
+// Per-channel amplitudes for a chord: calibration gains rescaled so they average 1 over
+// these channels, keeping the chord's total amplitude at amplitude × channels
+function channelAmplitudes(amplitude, frequencies, gains = channelGains) {
+    const raw = frequencies.map(freq => gains.get(freq) || 1);
+    const mean = raw.reduce((sum, gain) => sum + gain, 0) / raw.length;
+    return raw.map(gain => amplitude * gain / mean);
+}
+
+// Linear sweep from fromFreq to toFreq (calibration response check)
+function synthesizeSweep(fromFreq, toFreq, duration, sampleRate, amplitude) {
+    const samples = new Float32Array(Math.round(sampleRate * duration / 1000));
+    const rate = (toFreq - fromFreq) / (samples.length / sampleRate);
+
+    for (let n = 0; n < samples.length; n++) {
+        const t = n / sampleRate;
+        samples[n] = amplitude * Math.sin(2 * Math.PI * (fromFreq * t + rate * t * t / 2));
+    }
+
+    return applyEdgeRamps(samples, sampleRate);
+}
+
+// Unmodulated carriers (preamble)
+function synthesizeTone(frequencies, duration, sampleRate, amplitude) {
+    const samples = new Float32Array(Math.round(sampleRate * duration / 1000));
+
+    for (const freq of frequencies) {
+        const step = 2 * Math.PI * freq / sampleRate;
+        for (let n = 0; n < samples.length; n++) {
+            samples[n] += amplitude * Math.sin(step * n);
+        }
+    }
+
+    return applyEdgeRamps(samples, sampleRate);
+}
+
+// Collects a whole transmission as PCM instead of playing it
+class TransmissionRenderer {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.blocks = [];
+        this.length = 0;
+    }
+
+    append(samples) {
+        this.blocks.push(samples);
+        this.length += samples.length;
+    }
+
+    silence(duration) {
+        this.append(new Float32Array(Math.round(this.sampleRate * duration / 1000)));
+    }
+
+    tone(frequencies, duration, amplitude) {
+        this.append(synthesizeTone(frequencies, duration, this.sampleRate, amplitude));
+    }
+
+    packet(frame, frequencies, symbolDuration, amplitude, modulation = MODULATIONS.fsk2) {
+        const bits = FRAME_SYNC + encodeToBinary(frame) + FRAME_POSTAMBLE;
+        this.append(synthesizeChord(bits, frequencies, symbolDuration, this.sampleRate, amplitude, modulation));
+    }
+
+    render() {
+        const samples = new Float32Array(this.length);
+        let offset = 0;
+        for (const block of this.blocks) {
+            samples.set(block, offset);
+            offset += block.length;
+        }
+        return samples;
+    }
+}
+
+// Broadcast form of a transfer (no ACK turnarounds), in the same order and with the
+// same gaps as transmitFileWithAck: beacon, preamble, META, DATA..., END x2.
+// options.chunks limits DATA to those indices, as when resuming. options.rates maps a chunk
+// index to a RATE_PROFILES entry announced before it on the base chord, as adaptRate does;
+// DATA and END from there on use that profile.
+function renderTransfer(metadata, payload, options = {}) {
+    const sampleRate = options.sampleRate || CONFIG.SAMPLE_RATE;
+    const frequencies = options.frequencies || optimalFrequencies;
+    const power = options.power || CONFIG.MAX_POWER;
+    const amplitude = power / frequencies.length;
+    let mode = dataMode(metadata, frequencies);
+    let dataAmplitude = channelAmplitude(power, mode.frequencies.length, mode.modulation);
+    const fecEncoder = metadata.fec ? new ReedSolomonCodec(metadata.fec) : null;
+    const renderer = new TransmissionRenderer(sampleRate);
+
+    // Lead-in silence so a receiver starting with the recording can measure the noise floor
+    renderer.silence(CONFIG.PREAMBLE_DURATION / 2);
+
+    renderer.packet(buildBeaconFrame(frequencies), [CONFIG.BEACON_FREQ], CONFIG.BEACON_SYMBOL_DURATION, power);
+    renderer.silence(CONFIG.PACKET_DELAY);
+
+    for (let i = 0; i < 3; i++) {
+        renderer.tone(frequencies, 150, power / CONFIG.NUM_CHANNELS);
+        renderer.silence(50);
+    }
+
+    renderer.packet(buildMetaFrame(metadata), frequencies, CONFIG.SYMBOL_DURATION, amplitude);
+    renderer.silence(CONFIG.PACKET_DELAY);
+
+    const chunks = options.chunks || Array.from({ length: metadata.chunks }, (_, i) => i);
+    const rates = options.rates || {};
+    for (const i of chunks) {
+        const profile = rates[i];
+        if (profile) {
+            renderer.silence(CONFIG.PACKET_DELAY);
+            renderer.packet(buildRateFrame(profile, RATE_PROFILES.indexOf(profile)), frequencies, CONFIG.SYMBOL_DURATION, amplitude);
+            renderer.silence(CONFIG.PACKET_DELAY);
+            mode = profileMode(profile, frequencies);
+            dataAmplitude = channelAmplitude(power, mode.frequencies.length, mode.modulation);
+        }
+        renderer.packet(buildDataFrame(payload, i, fecEncoder), mode.frequencies, mode.symbolDuration, dataAmplitude, mode.modulation);
+        renderer.silence(CONFIG.PACKET_DELAY);
+    }
+
+    const endFrame = buildFrame(FRAME_TYPES.END, 0);
+    renderer.packet(endFrame, mode.frequencies, mode.symbolDuration, dataAmplitude, mode.modulation);
+    renderer.silence(100);
+    renderer.packet(endFrame, mode.frequencies, mode.symbolDuration, dataAmplitude, mode.modulation);
+    renderer.silence(CONFIG.PREAMBLE_DURATION / 2);
+
+    return renderer.render();
+}
+
+// 16-bit PCM mono WAV
+function encodeWav(samples, sampleRate) {
+    const dataSize = samples.length * 2;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);  // fmt chunk size
+    view.setUint16(20, 1, true);  // PCM
+    view.setUint16(22, 1, true);  // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);  // Byte rate
+    view.setUint16(32, 2, true);  // Block align
+    view.setUint16(34, 16, true);  // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
 }
 
 // =============================================================================
-// PRESET UI MANAGEMENT
+// SYMBOL-TIMED DEMODULATOR
 // =============================================================================
 
-function updatePresetUI() {
-    const presetSelect = document.getElementById('presetSelect');
-    if (!presetSelect) return;
+// Power of a single tone over samples[start, start + length) via the Goertzel recurrence
+function goertzelPower(samples, start, length, freq, sampleRate) {
+    const coeff = 2 * Math.cos(2 * Math.PI * freq / sampleRate);
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = start; i < start + length; i++) {
+        const s0 = samples[i] + coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    }
+    return s1 * s1 + s2 * s2 - coeff * s1 * s2;
+}
 
-    const presets = presetManager.listPresets();
-    presetSelect.innerHTML = '<option value="">-- Select Preset --</option>';
+// Complex DFT value Σ x[n]·e^(-jωn) of samples[start, start + length) at one frequency,
+// with n counted from `start`. Goertzel recurrence plus a final phase correction.
+function goertzelComplex(samples, start, length, freq, sampleRate) {
+    const omega = 2 * Math.PI * freq / sampleRate;
+    const coeff = 2 * Math.cos(omega);
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = start; i < start + length; i++) {
+        const s0 = samples[i] + coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    }
 
-    presets.forEach(preset => {
-        const option = document.createElement('option');
-        option.value = preset.name;
-        option.textContent = `${preset.name} (${preset.environment})`;
-        presetSelect.appendChild(option);
-    });
+    // s1 - e^(-jω)·s2 equals Σ x[n]·e^(jω(length-1-n)); rotate back to n = 0
+    const re = s1 - Math.cos(omega) * s2;
+    const im = Math.sin(omega) * s2;
+    const rotation = -omega * (length - 1);
+    return {
+        re: re * Math.cos(rotation) - im * Math.sin(rotation),
+        im: re * Math.sin(rotation) + im * Math.cos(rotation)
+    };
 }
 
-function saveCurrentPreset() {
-    if (!isCalibrated) {
-        log('Please calibrate first before saving preset', 'warning');
-        return;
+// Carrier phase over samples[start, start + length), referenced to absolute sample
+// index `origin` so phases of successive symbols can be compared directly
+function tonePhase(samples, start, length, freq, sampleRate, origin) {
+    const value = goertzelComplex(samples, start, length, freq, sampleRate);
+    return Math.atan2(value.im, value.re) - 2 * Math.PI * freq * origin / sampleRate;
+}
+
+// Works on raw PCM and counts samples, not wall-clock time, so it emits exactly
+// one bit group per transmitted symbol. Timing is locked on the rising edge of
+// every frame (the sync byte), refined to a quarter hop, and symbols are then
+// integrated over their middle 3/4 to tolerate residual offset and room echo.
+// The modulation option selects the symbol alphabet (see MODULATIONS).
+class ChordDemodulator {
+    constructor(options) {
+        this.sampleRate = options.sampleRate;
+        this.frequencies = options.frequencies;
+        this.modulation = options.modulation || MODULATIONS.fsk2;
+        this.toneOffsets = modulationToneOffsets(this.modulation);
+        this.threshold = options.threshold;
+        this.minSNR = options.minSNR;
+        this.onSymbol = options.onSymbol || (() => {});
+        this.onSignalLost = options.onSignalLost || (() => {});
+        // A demodulator started mid-transfer takes over the noise floor measured so far
+        this.initialNoiseLevel = options.noiseLevel !== undefined ? options.noiseLevel : null;
+
+        this.symbolDuration = options.symbolDuration;
+        this.symbolSamples = Math.round(this.sampleRate * options.symbolDuration / 1000);
+        this.hop = Math.floor(this.symbolSamples / 8);
+        this.guard = Math.floor(this.symbolSamples / 8);
+
+        this.reset();
     }
 
-    const name = prompt('Enter preset name:');
-    if (name && name.trim()) {
-        presetManager.saveCalibration(name.trim(), optimalFrequencies, noiseFloor);
-        updatePresetUI();
+    reset() {
+        this.buffer = new Float32Array(0);
+        this.bufferOffset = 0;  // Absolute sample index of buffer[0]
+        this.locked = false;
+        this.wasQuiet = false;  // Only a rising edge out of silence may start a frame
+        this.noiseLevel = this.initialNoiseLevel;  // Running level of quiet hops
+        // Without a handed-over level, seed from the quietest hop of the first symbol: a
+        // demodulator started right after a frame would otherwise take its echo for the floor
+        this.warmupHops = this.noiseLevel === null ? 8 : 0;
+        this.cursor = this.hop;  // Absolute sample index of the next window to analyse
+        this.reference = null;  // DPSK: previous symbol's phases, OFDM: training symbol's channel response
+        this.frameSNR = null;  // dB above the noise floor in the first symbol of the last frame
     }
-}
 
-function loadPreset() {
-    const presetSelect = document.getElementById('presetSelect');
-    if (!presetSelect || !presetSelect.value) return;
+    process(samples) {
+        this.append(samples);
+
+        while (true) {
+            if (!this.locked) {
+                // Onset refinement looks one hop back and two hops ahead
+                if (!this.hasSamples(this.cursor - this.hop, this.hop * 4)) break;
+
+                const level = this.toneLevel(this.cursor, this.hop);
+                if (this.warmupHops > 0) {
+                    this.noiseLevel = this.noiseLevel === null ? level : Math.min(this.noiseLevel, level);
+                    this.warmupHops--;
+                    this.wasQuiet = true;
+                    this.cursor += this.hop;
+                    continue;
+                }
 
-    const preset = presetManager.loadCalibration(presetSelect.value);
-    if (preset) {
-        optimalFrequencies = preset.frequencies;
-        noiseFloor = preset.noiseFloor;
-        isCalibrated = true;
+                if (!this.isSignal(level)) {
+                    this.noiseLevel += (level - this.noiseLevel) * 0.05;
+                    this.wasQuiet = true;
+                    this.cursor += this.hop;
+                    continue;
+                }
 
-        log(`Loaded preset: ${presetSelect.value} (${preset.environment})`, 'success');
-        updateFrequencyDisplay();
+                if (!this.wasQuiet) {
+                    // Joined in the middle of a transmission - wait for the next gap
+                    this.cursor += this.hop;
+                    continue;
+                }
 
-        // Enable buttons
-        if (selectedFile) {
-            document.getElementById('sendBtn').disabled = false;
-            document.getElementById('quickSendBtn').disabled = false;
+                this.cursor = this.findOnset(this.cursor);
+                this.locked = true;
+                this.wasQuiet = false;
+                this.reference = null;
+                this.frameSNR = null;
+
+            } else {
+                if (!this.hasSamples(this.cursor, this.symbolSamples)) break;
+
+                if (this.frameSNR === null) {
+                    this.frameSNR = this.snr(this.toneLevel(this.cursor + this.guard, this.hop));
+                }
+                const bits = this.demodulateChord(this.cursor);
+                this.cursor += this.symbolSamples;
+
+                if (bits === null) {
+                    this.locked = false;
+                    this.wasQuiet = true;
+                    this.onSignalLost();
+                } else if (bits === 'preamble') {
+                    // Unmodulated carrier: not a frame, wait until it stops
+                    this.locked = false;
+                } else if (bits === 'reference') {
+                    // DPSK phase reference carries no data
+                } else {
+                    this.onSymbol(bits);
+                }
+            }
         }
+
+        this.compact();
     }
-}
 
-// =============================================================================
-// MODE SELECTION & UI
-// =============================================================================
+    // Per-channel bit groups for the symbol starting at `start`; null when the
+    // channels are silent, 'preamble' when the unshifted carriers dominate an FSK
+    // symbol and 'reference' for the first symbol of a DPSK frame
+    demodulateChord(start) {
+        const from = start + this.guard;
+        const length = this.symbolSamples - 2 * this.guard;
 
-function setMode(mode) {
-    currentMode = mode;
+        if (this.modulation.kind === 'dpsk') {
+            return this.demodulateDpsk(from, length);
+        }
 
-    document.querySelectorAll('.mode-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelector(`.mode-btn.${mode}`).classList.add('active');
+        const bits = [];
+        let toneTotal = 0;
+        let carrierTotal = 0;
+        let maxLevel = 0;
+
+        for (const baseFreq of this.frequencies) {
+            let best = 0;
+            let bestPower = -1;
+            this.toneOffsets.forEach((offset, index) => {
+                const p = this.power(from, length, baseFreq + offset);
+                if (p > bestPower) {
+                    bestPower = p;
+                    best = index;
+                }
+            });
+            const pc = this.power(from, length, baseFreq);
 
-    document.getElementById('senderPanel').classList.toggle('hidden', mode !== 'sender');
-    document.getElementById('listenerPanel').classList.toggle('hidden', mode !== 'listener');
+            bits.push(this.symbolBits(grayEncode(best)));
+            toneTotal += bestPower;
+            carrierTotal += pc;
+            maxLevel = Math.max(maxLevel, this.powerToLevel(Math.max(bestPower, pc), length));
+        }
 
-    log(`Switched to ${mode} mode`, 'info');
-}
+        if (!this.isSignal(maxLevel)) return null;
+        if (carrierTotal > toneTotal) return 'preamble';
+        return bits;
+    }
 
-// =============================================================================
-// FILE HANDLING
-// =============================================================================
+    // Phase step since the previous symbol, quantized to multiples of 90°
+    demodulateDpsk(from, length) {
+        let maxLevel = 0;
+        const phases = this.frequencies.map(freq => {
+            maxLevel = Math.max(maxLevel, this.powerToLevel(this.power(from, length, freq), length));
+            return tonePhase(this.buffer, from - this.bufferOffset, length, freq, this.sampleRate, from);
+        });
 
-function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        selectedFile = file;
+        if (!this.isSignal(maxLevel)) return null;
 
-        // Estimate with compression
-        let estimatedSize = file.size;
-        if (CONFIG.USE_COMPRESSION && file.size > CONFIG.COMPRESSION_MIN_SIZE) {
-            estimatedSize = file.size * 0.6;  // Estimate 40% compression
-        }
+        const previous = this.reference;
+        this.reference = phases;
+        if (previous === null) return 'reference';
+
+        return phases.map((phase, ch) => {
+            const quarterTurns = Math.round((phase - previous[ch]) / (Math.PI / 2));
+            return this.symbolBits(grayEncode(((quarterTurns % 4) + 4) % 4));
+        });
+    }
 
-        const estimatedTime = estimatedSize / (CONFIG.CHUNK_SIZE * CONFIG.NUM_CHANNELS * (1000 / CONFIG.SYMBOL_DURATION));
+    symbolBits(value) {
+        return value.toString(2).padStart(this.modulation.bitsPerSymbol, '0');
+    }
 
-        document.getElementById('fileName').textContent = file.name;
-        document.getElementById('fileSize').textContent = formatFileSize(file.size);
-        document.getElementById('estimatedTime').textContent = formatTime(estimatedTime);
-        document.getElementById('fileInfo').classList.remove('hidden');
-        document.getElementById('senderStatus').textContent = 'File ready! Click "Auto-Calibrate & Send" to begin.';
+    // Strongest tone of the alphabet across all channels, on the analyser's 0-255 scale
+    toneLevel(start, length) {
+        let maxPower = 0;
+        for (const baseFreq of this.frequencies) {
+            for (const offset of this.toneOffsets) {
+                maxPower = Math.max(maxPower, this.power(start, length, baseFreq + offset));
+            }
+        }
+        return this.powerToLevel(maxPower, length);
+    }
 
-        document.getElementById('quickSendBtn').disabled = false;
-        document.getElementById('manualCalibrateBtn').disabled = false;
+    // The hop starting at `edge` crossed the threshold and the one before it did not.
+    // Slide a one-hop window in quarter-hop steps and take the point where its energy
+    // reaches half of the steady-state level one hop later.
+    findOnset(edge) {
+        const step = Math.max(1, Math.floor(this.hop / 4));
+        const steady = this.toneEnergy(edge + this.hop, this.hop);
 
-        if (isCalibrated) {
-            document.getElementById('sendBtn').disabled = false;
+        for (let t = edge - this.hop; t <= edge + this.hop; t += step) {
+            if (this.toneEnergy(t, this.hop) >= steady / 2) {
+                return t + Math.floor(this.hop / 2);
+            }
         }
+        return edge;
+    }
 
-        log(`File selected: ${file.name} (${formatFileSize(file.size)})`, 'success');
+    toneEnergy(start, length) {
+        let total = 0;
+        for (const baseFreq of this.frequencies) {
+            for (const offset of this.toneOffsets) {
+                total += this.power(start, length, baseFreq + offset);
+            }
+        }
+        return total;
     }
-}
 
-function handleDrop(event) {
-    event.preventDefault();
-    event.currentTarget.classList.remove('dragover');
-    const file = event.dataTransfer.files[0];
-    if (file) {
-        const input = document.getElementById('fileInput');
-        input.files = event.dataTransfer.files;
-        handleFileSelect({ target: input });
+    isSignal(level) {
+        return level > this.threshold && this.snr(level) >= this.minSNR;
     }
-}
 
-function handleDragOver(event) {
-    event.preventDefault();
-    event.currentTarget.classList.add('dragover');
-}
+    snr(level) {
+        // Levels are on a 70dB / 255-step scale, like AnalyserNode byte data
+        return (level - this.noiseLevel) * 70 / 255;
+    }
 
-function handleDragLeave(event) {
-    event.currentTarget.classList.remove('dragover');
-}
+    powerToLevel(power, length) {
+        const amplitude = 2 * Math.sqrt(Math.max(power, 0)) / length;
+        const db = 20 * Math.log10(amplitude + 1e-12);
+        return Math.max(0, Math.min(255, (db + 100) / 70 * 255));
+    }
 
-// =============================================================================
-// QUICK SEND
-// =============================================================================
+    power(start, length, freq) {
+        return goertzelPower(this.buffer, start - this.bufferOffset, length, freq, this.sampleRate);
+    }
 
-async function quickSend() {
-    if (!selectedFile) return;
+    hasSamples(start, length) {
+        return start >= this.bufferOffset && start + length <= this.bufferOffset + this.buffer.length;
+    }
 
-    document.getElementById('quickSendBtn').disabled = true;
-    document.getElementById('senderStatus').textContent = 'Quick calibrating environment...';
+    append(samples) {
+        const merged = new Float32Array(this.buffer.length + samples.length);
+        merged.set(this.buffer);
+        merged.set(samples, this.buffer.length);
+        this.buffer = merged;
+    }
 
-    log('Starting quick calibration before send...', 'info');
+    // Drop samples that no window can reach any more
+    compact() {
+        const keepFrom = this.cursor - this.hop * 2;
+        const drop = keepFrom - this.bufferOffset;
+        if (drop > this.symbolSamples * 4) {
+            this.buffer = this.buffer.slice(drop);
+            this.bufferOffset += drop;
+        }
+    }
+}
 
-    document.getElementById('senderCalibration').classList.remove('hidden');
+// =============================================================================
+// OFDM MODEM
+// =============================================================================
 
-    const success = await performCalibration(true);
+// High-rate alternative to the chord (MODULATION: 'ofdm'): QPSK on dozens of subcarriers
+// spaced sampleRate / OFDM_FFT_SIZE apart across FREQ_MIN..FREQ_MAX, synthesized one
+// symbol per IFFT. Every frame opens with a training symbol that gives the receiver each
+// subcarrier's channel response; pilots on every OFDM_PILOT_SPACING-th subcarrier track
+// phase drift after that, and the cyclic prefix absorbs timing error and short echoes.
+
+// Per subcarrier position: the known ±1 value of the training symbol and pilots, and a
+// fixed quarter-turn rotation for data. The rotation scrambles the constellation so that
+// repetitive data (text, zero padding) cannot line all subcarriers up into one huge peak.
+const OFDM_REFERENCE = (() => {
+    const random = createRandom(0x0FD3);
+    return Array.from({ length: 512 }, () => ({
+        value: random() < 0.5 ? -1 : 1,
+        rotation: Math.floor(random() * 4)
+    }));
+})();
+
+function ofdmReference(position) {
+    return OFDM_REFERENCE[position % OFDM_REFERENCE.length].value;
+}
 
-    if (success) {
-        log('Quick calibration successful, starting transmission...', 'success');
-        setTimeout(() => startSending(), 500);
-    } else {
-        log('Quick calibration failed', 'error');
-        document.getElementById('quickSendBtn').disabled = false;
+// Multiplies by j^quarterTurns
+function rotateQuarterTurns(value, quarterTurns) {
+    switch (((quarterTurns % 4) + 4) % 4) {
+        case 1: return { re: -value.im, im: value.re };
+        case 2: return { re: -value.re, im: -value.im };
+        case 3: return { re: value.im, im: -value.re };
+        default: return value;
     }
 }
 
-async function manualCalibrate() {
-    document.getElementById('manualCalibrateBtn').disabled = true;
-    document.getElementById('senderStatus').textContent = 'Calibrating environment (3 seconds)...';
-    document.getElementById('senderCalibration').classList.remove('hidden');
+function ofdmRotation(position) {
+    return OFDM_REFERENCE[position % OFDM_REFERENCE.length].rotation;
+}
 
-    const success = await performCalibration(false);
+function isOfdmPilot(position) {
+    return position % CONFIG.OFDM_PILOT_SPACING === 0;
+}
 
-    if (success) {
-        document.getElementById('sendBtn').disabled = false;
-        document.getElementById('senderStatus').textContent = 'Calibration complete! Ready to send.';
-    }
+function ofdmDataCarrierCount(carriers) {
+    return carriers - Math.ceil(carriers / CONFIG.OFDM_PILOT_SPACING);
+}
 
-    document.getElementById('manualCalibrateBtn').disabled = false;
+// Symbol length in ms, cyclic prefix included
+function ofdmSymbolDuration(spacing) {
+    return 1000 * (1 + CONFIG.OFDM_CYCLIC_PREFIX / CONFIG.OFDM_FFT_SIZE) / spacing;
 }
 
-// =============================================================================
-// TRANSMISSION (SENDER) WITH ACK/NACK
-// =============================================================================
+// Average analyser level (0-255) of a calibration spectrum between two frequencies
+function spectrumLevel(spectrum, sampleRate, fromFreq, toFreq) {
+    const binWidth = sampleRate / 2 / spectrum.length;
+    const first = Math.max(0, Math.floor(fromFreq / binWidth));
+    const last = Math.min(spectrum.length - 1, Math.ceil(toFreq / binWidth));
 
-async function startSending() {
-    if (!selectedFile || optimalFrequencies.length === 0) {
-        log('Please calibrate first', 'warning');
-        return;
+    let total = 0;
+    for (let i = first; i <= last; i++) {
+        total += spectrum[i];
     }
+    return total / (last - first + 1);
+}
 
-    isSending = true;
-    chunkRetryMap.clear();
-    signalMonitor.reset();
-    powerController.reset();
+// Subcarriers for a transfer synthesized at `sampleRate`, as sent in META:
+// { spacing, first, mask } where mask is a base64 bitmap of enabled subcarriers from
+// `first` on. Subcarriers whose calibration noise floor is more than OFDM_NOISE_MARGIN dB
+// above the band's median are disabled; without a calibration all of them are used.
+function planOfdmCarriers(sampleRate, spectrum = noiseFloor, spectrumRate = audioContext ? audioContext.sampleRate : sampleRate) {
+    const spacing = sampleRate / CONFIG.OFDM_FFT_SIZE;
+    const first = Math.ceil(CONFIG.FREQ_MIN / spacing);
+    const last = Math.floor(CONFIG.FREQ_MAX / spacing);
+    const count = last - first + 1;
+
+    let enabled = [];
+    for (let i = 0; i < count; i++) {
+        enabled.push(i);
+    }
 
-    document.getElementById('sendBtn').disabled = true;
-    document.getElementById('quickSendBtn').disabled = true;
-    document.getElementById('senderStatus').textContent = 'Reading file...';
-    document.getElementById('sendProgress').classList.remove('hidden');
-    document.getElementById('chordDisplay').classList.remove('hidden');
-    document.getElementById('senderVisualizer').classList.remove('hidden');
-    document.getElementById('signalStrengthPanel').classList.remove('hidden');
+    if (spectrum && spectrum.length > 0) {
+        const noise = enabled.map(i => spectrumLevel(spectrum, spectrumRate, (first + i - 0.5) * spacing, (first + i + 0.5) * spacing));
+        const median = [...noise].sort((a, b) => a - b)[Math.floor(count / 2)];
+        // Analyser levels span 70dB in 255 steps
+        const limit = median + CONFIG.OFDM_NOISE_MARGIN * 255 / 70;
+        enabled = enabled.filter(i => noise[i] <= limit);
+    }
 
-    log('Starting file transmission with ACK/NACK protocol...', 'info');
+    return { spacing: spacing, first: first, mask: bytesToBase64(encodeChunkBitmap(enabled, count)) };
+}
 
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        let arrayBuffer = e.target.result;
-        let fileData = new Uint8Array(arrayBuffer);
-        let compressed = false;
-        let originalSize = fileData.length;
-
-        // Compress if enabled and file is large enough
-        if (CONFIG.USE_COMPRESSION && fileData.length > CONFIG.COMPRESSION_MIN_SIZE) {
-            document.getElementById('senderStatus').textContent = 'Compressing file...';
-            log('Compressing file...', 'info');
-
-            const compressedData = compressor.compress(fileData);
-            const ratio = compressor.getCompressionRatio(fileData, compressedData);
-
-            if (compressedData.length < fileData.length) {
-                fileData = compressedData;
-                compressed = true;
-                log(`File compressed: ${formatFileSize(originalSize)} → ${formatFileSize(fileData.length)} (${ratio}% reduction)`, 'success');
+function ofdmFrequencies(plan) {
+    const mask = base64ToBytes(plan.mask);
+    return decodeChunkBitmap(mask, mask.length * 8).map(i => (plan.first + i) * plan.spacing);
+}
+
+// The frequencies must be multiples of sampleRate / OFDM_FFT_SIZE (see planOfdmCarriers).
+// Data subcarriers carry Gray-coded QPSK (first bit → sign of I, second bit → sign of Q),
+// rotated per subcarrier by ofdmRotation.
+function synthesizeOfdm(binaryString, frequencies, sampleRate, amplitude) {
+    const size = CONFIG.OFDM_FFT_SIZE;
+    const prefix = CONFIG.OFDM_CYCLIC_PREFIX;
+    const bins = frequencies.map(freq => Math.round(freq * size / sampleRate));
+    const bitsPerSymbol = ofdmDataCarrierCount(bins.length) * MODULATIONS.ofdm.bitsPerSymbol;
+    const dataSymbols = Math.ceil(binaryString.length / bitsPerSymbol);
+    const padded = binaryString.padEnd(dataSymbols * bitsPerSymbol, '0');
+    // The last symbol continues cyclically for the length of the fade-out, which would
+    // otherwise cut into its DFT window
+    const tail = Math.round(sampleRate * EDGE_RAMP_MS / 1000);
+    const samples = new Float32Array((dataSymbols + 1) * (size + prefix) + tail);
+
+    for (let symbolIdx = 0; symbolIdx <= dataSymbols; symbolIdx++) {
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        let bit = (symbolIdx - 1) * bitsPerSymbol;
+
+        bins.forEach((bin, position) => {
+            if (symbolIdx === 0 || isOfdmPilot(position)) {
+                re[bin] = ofdmReference(position);
             } else {
-                log('Compression not beneficial, sending uncompressed', 'info');
+                const value = rotateQuarterTurns({
+                    re: (padded[bit] === '1' ? -1 : 1) * Math.SQRT1_2,
+                    im: (padded[bit + 1] === '1' ? -1 : 1) * Math.SQRT1_2
+                }, ofdmRotation(position));
+                re[bin] = value.re;
+                im[bin] = value.im;
+                bit += 2;
             }
-        }
+        });
 
-        const metadata = {
-            filename: selectedFile.name,
-            size: fileData.length,
-            originalSize: originalSize,
-            compressed: compressed,
-            checksum: calculateChecksum(fileData),
-            crc: crc16(fileData),
-            chunks: Math.ceil(fileData.length / CONFIG.CHUNK_SIZE),
-            timestamp: Date.now(),
-            useAck: true
-        };
+        // The inverse FFT divides by size; each subcarrier comes out at `amplitude`
+        fft(re, im, true);
 
-        await transmitFileWithAck(metadata, fileData);
-    };
+        const offset = symbolIdx * (size + prefix);
+        const length = size + prefix + (symbolIdx === dataSymbols ? tail : 0);
+        for (let n = 0; n < length; n++) {
+            samples[offset + n] = amplitude * size * re[(n - prefix + size) % size];
+        }
+    }
 
-    reader.readAsArrayBuffer(selectedFile);
+    return applyEdgeRamps(samples, sampleRate);
 }
 
-async function transmitFileWithAck(metadata, fileData) {
-    try {
-        startSendVisualization();
-        startSignalMonitoring();
+function complexDivide(a, b) {
+    const norm = b.re * b.re + b.im * b.im || 1e-30;
+    return {
+        re: (a.re * b.re + a.im * b.im) / norm,
+        im: (a.im * b.re - a.re * b.im) / norm
+    };
+}
 
-        // Send preamble
-        document.getElementById('senderStatus').textContent = 'Sending sync signal...';
-        await sendPreamble();
+// Reuses the chord demodulator's rising-edge lock and sample counting; a "symbol" is one
+// cyclic prefix plus one DFT window over all subcarriers. Works at any receiver sample
+// rate because subcarriers are evaluated individually at their announced frequencies.
+class OfdmDemodulator extends ChordDemodulator {
+    constructor(options) {
+        // The chord demodulators measure noise on other frequencies, so start our own floor
+        super({ ...options, modulation: MODULATIONS.ofdm, noiseLevel: null });
+
+        const size = CONFIG.OFDM_FFT_SIZE;
+        this.windowSamples = Math.round(this.symbolSamples * size / (size + CONFIG.OFDM_CYCLIC_PREFIX));
+        this.prefixSamples = this.symbolSamples - this.windowSamples;
+    }
 
-        // Send metadata
-        document.getElementById('senderStatus').textContent = 'Sending file information...';
-        const metadataStr = JSON.stringify(metadata);
-        await sendPacketWithAck('META:' + metadataStr);
+    demodulateChord(start) {
+        // The rising-edge lock lands up to ~half a hop late (fade-in, hop grid); opening the
+        // window half a prefix early keeps it inside the symbol either way
+        const from = start + Math.floor(this.prefixSamples / 2);
 
-        log(`Metadata sent: ${metadata.filename} (${metadata.chunks} chunks)`, 'info');
+        let totalPower = 0;
+        const values = this.frequencies.map(freq => {
+            const value = goertzelComplex(this.buffer, from - this.bufferOffset, this.windowSamples, freq, this.sampleRate);
+            totalPower += value.re * value.re + value.im * value.im;
+            return value;
+        });
+        const meanPower = totalPower / values.length;
+
+        // Judged on a hop like the noise floor it is compared with
+        if (!this.isSignal(this.toneLevel(from, this.hop))) return null;
+
+        if (this.reference === null) {
+            // Training symbol: channel response = received / known value (±1)
+            this.reference = values.map((value, position) => ({
+                re: value.re * ofdmReference(position),
+                im: value.im * ofdmReference(position)
+            }));
+            this.referencePower = meanPower;
+            return 'reference';
+        }
 
-        // Send file data
-        const totalChunks = Math.ceil(fileData.length / CONFIG.CHUNK_SIZE);
-        let successfulChunks = 0;
+        // Echoes can keep the band above the noise floor between frames; the frame is over
+        // once the subcarriers fall 10dB below its training symbol
+        if (meanPower < this.referencePower / 10) return null;
 
-        for (let i = 0; i < totalChunks; i++) {
-            const start = i * CONFIG.CHUNK_SIZE;
-            const end = Math.min(start + CONFIG.CHUNK_SIZE, fileData.length);
-            const chunk = fileData.slice(start, end);
-            const base64 = btoa(String.fromCharCode.apply(null, chunk));
+        const equalized = values.map((value, position) => complexDivide(value, this.reference[position]));
+        const drift = this.pilotDrift(equalized);
 
-            // Try sending with retry
-            let sent = false;
-            for (let retry = 0; retry < CONFIG.MAX_RETRIES && !sent; retry++) {
-                if (retry > 0) {
-                    log(`Retrying chunk ${i} (attempt ${retry + 1}/${CONFIG.MAX_RETRIES})`, 'warning');
-                }
+        const bits = [];
+        equalized.forEach((value, position) => {
+            if (isOfdmPilot(position)) return;
+            const symbol = rotateQuarterTurns(complexDivide(value, drift[position]), -ofdmRotation(position));
+            bits.push((symbol.re < 0 ? '1' : '0') + (symbol.im < 0 ? '1' : '0'));
+        });
+        return bits;
+    }
 
-                sent = await sendPacketWithAck(`DATA:${i}:${base64}`);
+    // Average subcarrier level: steadier than the strongest one with this many subcarriers
+    toneLevel(start, length) {
+        return this.powerToLevel(this.toneEnergy(start, length) / this.frequencies.length, length);
+    }
 
-                if (sent) {
-                    successfulChunks++;
-                }
+    // Change since the training symbol, measured on the pilots and interpolated linearly
+    // between them (clock offset shows up as a phase slope across subcarriers)
+    pilotDrift(equalized) {
+        const pilots = [];
+        equalized.forEach((value, position) => {
+            if (isOfdmPilot(position)) {
+                const known = ofdmReference(position);
+                pilots.push({ position, re: value.re * known, im: value.im * known });
             }
+        });
 
-            if (!sent) {
-                log(`Failed to send chunk ${i} after ${CONFIG.MAX_RETRIES} attempts`, 'error');
-                chunkRetryMap.set(i, base64);
+        let next = 0;
+        return equalized.map((_, position) => {
+            while (next < pilots.length - 1 && pilots[next + 1].position <= position) {
+                next++;
+            }
+            const left = pilots[next];
+            const right = pilots[Math.min(next + 1, pilots.length - 1)];
+            if (right.position <= left.position || position <= left.position) {
+                return left;
             }
 
-            // Update progress
-            const progress = ((i + 1) / totalChunks) * 100;
-            document.getElementById('progressText').textContent = `${Math.round(progress)}%`;
-            document.getElementById('progressFill').style.width = `${progress}%`;
-            document.getElementById('senderStatus').textContent =
-                `Sending chunk ${i + 1}/${totalChunks} (${Math.round(progress)}%)`;
+            const t = Math.min(1, (position - left.position) / (right.position - left.position));
+            return {
+                re: left.re + (right.re - left.re) * t,
+                im: left.im + (right.im - left.im) * t
+            };
+        });
+    }
+}
 
-            await new Promise(resolve => setTimeout(resolve, CONFIG.PACKET_DELAY));
+// Demodulator class for the modulation in `options`; both take the same options
+function buildDemodulator(options) {
+    const ofdm = options.modulation && options.modulation.kind === 'ofdm';
+    return ofdm ? new OfdmDemodulator(options) : new ChordDemodulator(options);
+}
+
+// =============================================================================
+// CHANNEL IMPAIRMENT SIMULATOR
+// =============================================================================
+
+// Seeded PRNG (mulberry32) so impaired runs are reproducible
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function gaussianRandom(random) {
+    const u = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// In-place iterative radix-2 FFT; re/im lengths must be a power of two
+function fft(re, im, inverse = false) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
         }
+    }
 
-        // Retry failed chunks
-        if (chunkRetryMap.size > 0) {
-            log(`Retrying ${chunkRetryMap.size} failed chunks...`, 'warning');
-            for (const [idx, base64] of chunkRetryMap.entries()) {
-                await sendPacketWithAck(`DATA:${idx}:${base64}`);
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
             }
         }
+    }
 
-        // Send end signal
-        document.getElementById('senderStatus').textContent = 'Sending completion signal...';
-        await sendPacket('END:COMPLETE');
-        await new Promise(resolve => setTimeout(resolve, 100));
-        await sendPacket('END:COMPLETE');
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n;
+            im[i] /= n;
+        }
+    }
+}
 
-        // Complete
-        document.getElementById('senderStatus').textContent = '✅ Transmission complete!';
-        document.getElementById('progressText').textContent = '100%';
-        document.getElementById('progressFill').style.width = '100%';
+// Overlap-add FFT convolution; the output keeps the input length
+function convolve(signal, kernel) {
+    let fftSize = 1;
+    while (fftSize < kernel.length * 2) {
+        fftSize <<= 1;
+    }
+    const blockSize = fftSize - kernel.length + 1;
+
+    const kernelRe = new Float64Array(fftSize);
+    const kernelIm = new Float64Array(fftSize);
+    kernelRe.set(kernel);
+    fft(kernelRe, kernelIm);
+
+    const output = new Float32Array(signal.length + kernel.length - 1);
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+
+    for (let start = 0; start < signal.length; start += blockSize) {
+        re.fill(0);
+        im.fill(0);
+        re.set(signal.subarray(start, start + blockSize));
+        fft(re, im);
+
+        for (let i = 0; i < fftSize; i++) {
+            const r = re[i] * kernelRe[i] - im[i] * kernelIm[i];
+            im[i] = re[i] * kernelIm[i] + im[i] * kernelRe[i];
+            re[i] = r;
+        }
+        fft(re, im, true);
 
-        log(`Transmission complete! ${successfulChunks}/${totalChunks} chunks sent successfully`, 'success');
+        const count = Math.min(fftSize, output.length - start);
+        for (let i = 0; i < count; i++) {
+            output[start + i] += re[i];
+        }
+    }
 
-        isSending = false;
-        stopSendVisualization();
-        stopSignalMonitoring();
-        document.getElementById('sendBtn').disabled = false;
-        document.getElementById('quickSendBtn').disabled = false;
+    return output.subarray(0, signal.length);
+}
 
-    } catch (error) {
-        log(`Transmission error: ${error.message}`, 'error');
-        isSending = false;
-        stopSendVisualization();
-        stopSignalMonitoring();
-        document.getElementById('sendBtn').disabled = false;
-        document.getElementById('quickSendBtn').disabled = false;
+// Synthetic room: direct path plus exponentially decaying diffuse noise (-60 dB after rt60)
+function createRoomImpulse(sampleRate, rt60, wetLevel, random) {
+    const impulse = new Float32Array(Math.max(1, Math.round(sampleRate * rt60)));
+    const decay = 6.91 / (rt60 * sampleRate);
+    const tailScale = wetLevel * Math.sqrt(2 * decay);  // Tail energy = wetLevel² × direct path
+
+    impulse[0] = 1;
+    for (let i = 1; i < impulse.length; i++) {
+        impulse[i] = tailScale * gaussianRandom(random) * Math.exp(-decay * i);
     }
+    return impulse;
 }
 
-async function sendPacketWithAck(message) {
-    // For now, send without waiting for ACK (full bidirectional ACK requires more complex protocol)
-    // This is a simplified version showing the structure
-    await sendPacket(message);
-
-    // In a full implementation, we would:
-    // 1. Send packet
-    // 2. Switch to listen mode briefly
-    // 3. Wait for ACK signal
-    // 4. Return true if ACK received, false otherwise
+// Receiver clock running `ppm` parts per million fast (positive) or slow (negative)
+function resampleByOffset(samples, ppm) {
+    const ratio = 1 + ppm / 1e6;
+    const output = new Float32Array(Math.floor((samples.length - 1) * ratio));
 
-    return true;  // Assume success for now
+    for (let i = 0; i < output.length; i++) {
+        const position = i / ratio;
+        const index = Math.floor(position);
+        const frac = position - index;
+        output[i] = samples[index] * (1 - frac) + samples[Math.min(index + 1, samples.length - 1)] * frac;
+    }
+    return output;
 }
 
-async function sendPreamble() {
-    for (let i = 0; i < 3; i++) {
-        await playChord(optimalFrequencies, 150);
-        await new Promise(resolve => setTimeout(resolve, 50));
+// Mean power of the non-silent samples, i.e. of the transmission itself
+function activeSignalPower(samples) {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < samples.length; i++) {
+        if (samples[i] !== 0) {
+            sum += samples[i] * samples[i];
+            count++;
+        }
     }
+    return count > 0 ? sum / count : 0;
 }
 
-async function sendPacket(message) {
-    const binary = encodeToBinary(message);
-    const frame = '10101010' + binary + '01010101';
-    await transmitBinaryChord(frame);
-}
+// Pink noise via Paul Kellet's filter on white noise, normalised to unit power
+function createNoise(length, type, random) {
+    const noise = new Float32Array(length);
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    let power = 0;
+
+    for (let i = 0; i < length; i++) {
+        const white = gaussianRandom(random);
+        if (type === 'pink') {
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            noise[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+        } else {
+            noise[i] = white;
+        }
+        power += noise[i] * noise[i];
+    }
 
-function encodeToBinary(message) {
-    let binary = '';
-    for (let i = 0; i < message.length; i++) {
-        binary += message.charCodeAt(i).toString(2).padStart(8, '0');
+    const scale = power > 0 ? Math.sqrt(length / power) : 0;
+    for (let i = 0; i < length; i++) {
+        noise[i] *= scale;
     }
-    return binary;
+    return noise;
 }
 
-async function transmitBinaryChord(binaryString) {
-    const streams = [];
-    for (let i = 0; i < CONFIG.NUM_CHANNELS; i++) {
-        streams.push('');
+// Degrades a rendered transmission the way a real room and a second device would:
+// reverb, clock offset, dropouts and additive noise at a target SNR
+class ChannelSimulator {
+    constructor(options = {}) {
+        this.options = {
+            snr: null,  // dB relative to the transmission's power; null = no noise
+            noiseType: 'white',  // 'white' or 'pink'
+            reverbTime: 0,  // RT60 in seconds; 0 = dry
+            reverbLevel: 0.3,  // Diffuse tail relative to the direct path
+            clockOffsetPpm: 0,  // Receiver sample clock error
+            dropoutRate: 0,  // Dropouts per second of audio
+            dropoutDuration: 50,  // ms
+            seed: 1,
+            ...options
+        };
     }
 
-    for (let i = 0; i < binaryString.length; i++) {
-        const channelIdx = i % CONFIG.NUM_CHANNELS;
-        streams[channelIdx] += binaryString[i];
-    }
+    apply(samples, sampleRate) {
+        const opts = this.options;
+        const random = createRandom(opts.seed);
+        const signalPower = activeSignalPower(samples);
+        let output = samples;
 
-    const maxLen = Math.max(...streams.map(s => s.length));
-    streams.forEach((s, i) => {
-        while (streams[i].length < maxLen) {
-            streams[i] += '0';
+        if (opts.reverbTime > 0) {
+            output = convolve(output, createRoomImpulse(sampleRate, opts.reverbTime, opts.reverbLevel, random));
         }
-    });
 
-    for (let symbolIdx = 0; symbolIdx < maxLen; symbolIdx++) {
-        const frequencies = [];
-        for (let ch = 0; ch < CONFIG.NUM_CHANNELS; ch++) {
-            const bit = streams[ch][symbolIdx];
-            const baseFreq = optimalFrequencies[ch];
-            const freq = bit === '1' ? baseFreq + CONFIG.FSK_DEVIATION : baseFreq - CONFIG.FSK_DEVIATION;
-            frequencies.push(freq);
+        if (opts.clockOffsetPpm !== 0) {
+            output = resampleByOffset(output, opts.clockOffsetPpm);
+        } else if (output === samples) {
+            output = Float32Array.from(samples);
         }
 
-        await playChord(frequencies, CONFIG.SYMBOL_DURATION);
-    }
-}
+        if (opts.dropoutRate > 0) {
+            const dropoutSamples = Math.round(sampleRate * opts.dropoutDuration / 1000);
+            const count = Math.round(opts.dropoutRate * output.length / sampleRate);
+            for (let i = 0; i < count; i++) {
+                const start = Math.floor(random() * output.length);
+                output.fill(0, start, Math.min(start + dropoutSamples, output.length));
+            }
+        }
 
-async function playChord(frequencies, duration) {
-    return new Promise((resolve) => {
-        const oscillators = [];
-        const gainNode = audioContext.createGain();
-        gainNode.connect(audioContext.destination);
-
-        // Use adaptive power
-        const power = powerController.getPower();
-        gainNode.gain.setValueAtTime(power / CONFIG.NUM_CHANNELS, audioContext.currentTime);
-
-        frequencies.forEach(freq => {
-            const osc = audioContext.createOscillator();
-            osc.frequency.setValueAtTime(freq, audioContext.currentTime);
-            osc.connect(gainNode);
-            osc.start();
-            osc.stop(audioContext.currentTime + duration / 1000);
-            oscillators.push(osc);
-        });
+        if (opts.snr !== null && signalPower > 0) {
+            const noise = createNoise(output.length, opts.noiseType, random);
+            const noiseAmplitude = Math.sqrt(signalPower / Math.pow(10, opts.snr / 10));
+            for (let i = 0; i < output.length; i++) {
+                output[i] += noiseAmplitude * noise[i];
+            }
+        }
 
-        setTimeout(resolve, duration);
-    });
+        return output;
+    }
 }
 
 // =============================================================================
 // RECEPTION (LISTENER)
 // =============================================================================
 
-async function startListening() {
-    if (!await initAudio()) return;
-
-    isListening = true;
+function resetReceiverState() {
     receivedChunks.clear();
     receivedData = null;
+    receivedMessage = null;
+    receivedFiles = [];
+    bundleManifest = null;
+    document.getElementById('fileProgressList').innerHTML = '';
+    document.getElementById('receivedFileList').innerHTML = '';
+    encryptedPayload = null;
     fileMetadata = null;
+    fecDecoder = null;
     expectedChunks = 0;
+    handledEndRound = -1;
+    repairRound = 0;
+    rateProfile = null;
+    document.getElementById('giveUpBtn').classList.add('hidden');
     receptionStartTime = Date.now();
     totalBytesReceived = 0;
     signalMonitor.reset();
+}
+
+async function startListening() {
+    if (!await initAudio()) return;
+
+    isListening = true;
+    resetReceiverState();
+
+    // Done long before calibration is, so META can be answered from the kept ids
+    transferStore.prune().then(kept => {
+        if (kept.length > 0) {
+            log(`Kept partial transfers, resumed when their sender sends them again: ${kept.map(metadata => metadata.filename).join(', ')}`, 'info');
+        }
+    });
 
     document.getElementById('listenBtn').disabled = true;
     document.getElementById('stopListenBtn').disabled = false;
@@ -1060,8 +4559,8 @@ async function startListening() {
 
     await performCalibration(true);
 
-    document.getElementById('listenerStatus').textContent = '🎧 Listening for transmission...';
-    log('Listening on frequencies: ' + optimalFrequencies.join(', ') + ' Hz', 'info');
+    document.getElementById('listenerStatus').textContent = '🎧 Listening for sender beacon...';
+    log(`Waiting for sender beacon on ${CONFIG.BEACON_FREQ} Hz (local guess: ${optimalFrequencies.join(', ')} Hz)`, 'info');
 
     startReceptionLoop();
     startReceiveVisualization();
@@ -1083,175 +4582,312 @@ function stopListening() {
     log('Stopped listening', 'info');
 }
 
-let receptionInterval = null;
-let demodulationState = {
-    buffer: [],
-    bitStream: '',
-    packetBuffer: '',
-    syncDetected: false,
-    lastSignalTime: 0
-};
+// Runs an uploaded recording (WAV/OGG/MP3...) through the same demodulator and
+// processPacket/reconstructFile path as the microphone, but never transmits replies
+async function decodeRecording(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
 
-function startReceptionLoop() {
-    let lastCheckTime = 0;
+    if (isListening) {
+        log('Stop listening before decoding a recording', 'warning');
+        return;
+    }
 
-    function checkForSignal() {
-        if (!isListening) return;
+    try {
+        if (!audioContext) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
 
-        const now = Date.now();
-        if (now - lastCheckTime < 20) {
-            requestAnimationFrame(checkForSignal);
-            return;
+        document.getElementById('listenerStatus').textContent = `Decoding recording ${file.name}...`;
+        const audioBuffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+        const samples = mixToMono(audioBuffer);
+        log(`Recording loaded: ${file.name} (${formatTime(audioBuffer.duration)}, resampled to ${audioBuffer.sampleRate} Hz)`, 'info');
+
+        isListening = true;
+        replayingRecording = true;
+        resetReceiverState();
+        document.getElementById('listenBtn').disabled = true;
+        document.getElementById('stopListenBtn').disabled = false;
+        document.getElementById('listenerStatus').textContent = '🎞️ Searching recording for sender beacon...';
+
+        startReceptionLoop();
+
+        // Feed capture-sized blocks, yielding now and then so the page stays responsive
+        const blockSize = CONFIG.CAPTURE_BLOCK_SIZE;
+        for (let i = 0; i < samples.length && receptionActive; i += blockSize) {
+            demodulateSamples(samples.subarray(i, i + blockSize));
+            if ((i / blockSize) % 64 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
         }
-        lastCheckTime = now;
 
-        const bufferLength = analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        analyser.getByteFrequencyData(dataArray);
+        // The recording ended before an END frame: keep whatever arrived
+        if (isListening) {
+            if (receivedChunks.size > 0) {
+                log('Recording ended without an end signal, reconstructing partial file', 'warning');
+                await reconstructFile();
+            } else {
+                stopListening();
+                document.getElementById('listenerStatus').textContent = '❌ No transfer found in recording';
+                log('No SonicTransfer data found in the recording', 'error');
+            }
+        }
+    } catch (error) {
+        log(`Could not decode recording: ${error.message}`, 'error');
+        if (isListening) {
+            stopListening();
+        }
+    } finally {
+        replayingRecording = false;
+    }
+}
 
-        const bits = demodulateChord(dataArray);
+function mixToMono(audioBuffer) {
+    if (audioBuffer.numberOfChannels === 1) {
+        return audioBuffer.getChannelData(0);
+    }
 
-        if (bits !== null) {
-            processReceivedBits(bits);
+    const mono = new Float32Array(audioBuffer.length);
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+        const data = audioBuffer.getChannelData(ch);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i] / audioBuffer.numberOfChannels;
         }
-
-        requestAnimationFrame(checkForSignal);
     }
+    return mono;
+}
 
-    requestAnimationFrame(checkForSignal);
+let receptionInterval = null;
+const frameAssembler = new FrameAssembler();
+
+let receptionActive = false;
+let replayingRecording = false;  // Decoding an uploaded recording: no replies are transmitted
+let chordDemodulator = null;
+let beaconDemodulators = [];  // One per frequency band, so listeners follow the sender's band
+// Second data demodulator for DATA/END frames when META announces a higher-order modulation
+// or a RATE frame moves them off the base chord
+let modeDemodulator = null;
+const modeAssembler = new FrameAssembler();
+let rateProfile = null;  // Set by the sender's last RATE frame; null = as announced in META
+
+function createDemodulator(frequencies, symbolDuration, onSymbol, onSignalLost, modulation = MODULATIONS.fsk2, noiseLevel = null) {
+    return buildDemodulator({
+        sampleRate: audioContext.sampleRate,
+        frequencies: frequencies,
+        symbolDuration: symbolDuration,
+        modulation: modulation,
+        noiseLevel: noiseLevel,
+        threshold: CONFIG.SIGNAL_THRESHOLD,
+        minSNR: CONFIG.MIN_SNR,
+        onSymbol: onSymbol,
+        onSignalLost: onSignalLost
+    });
 }
 
-function stopReceptionLoop() {
-    // Cleanup handled by isListening flag
+function createDataDemodulator() {
+    return createDemodulator(optimalFrequencies, CONFIG.SYMBOL_DURATION,
+        bits => processReceivedBits(bits),
+        () => {
+            if (frameAssembler.dropPartialFrame()) {
+                log('Signal lost mid-frame, dropping partial packet', 'warning');
+            }
+        });
 }
 
-function demodulateChord(spectrum) {
-    const sampleRate = audioContext.sampleRate;
-    const bufferLength = spectrum.length;
+function createModeDemodulator(mode) {
+    return createDemodulator(mode.frequencies, mode.symbolDuration,
+        bits => modeAssembler.push(bits.join('')).forEach(frame => processPacket(frame)),
+        () => modeAssembler.dropPartialFrame(),
+        mode.modulation, chordDemodulator ? chordDemodulator.noiseLevel : null);
+}
 
-    const demodulated = [];
-    let signalDetected = false;
+// DATA/END mode for the current transfer: META's modulation, unless a RATE frame changed it
+function activeDataMode() {
+    return rateProfile ? profileMode(rateProfile) : dataMode(fileMetadata || {});
+}
 
-    for (let ch = 0; ch < CONFIG.NUM_CHANNELS; ch++) {
-        const baseFreq = optimalFrequencies[ch];
+// Frames on the base chord (2-FSK, every channel, SYMBOL_DURATION) are covered by chordDemodulator
+function isBaseChordMode(mode, chordFrequencies = optimalFrequencies) {
+    return mode.modulation === MODULATIONS.fsk2 &&
+        mode.frequencies.length === chordFrequencies.length &&
+        mode.symbolDuration === CONFIG.SYMBOL_DURATION;
+}
 
-        const freq0 = baseFreq - CONFIG.FSK_DEVIATION;
-        const freq1 = baseFreq + CONFIG.FSK_DEVIATION;
+function isDemodulatorFor(demodulator, mode) {
+    return !!demodulator && demodulator.modulation === mode.modulation &&
+        demodulator.frequencies.length === mode.frequencies.length &&
+        demodulator.symbolDuration === mode.symbolDuration;
+}
 
-        const bin0 = Math.floor(freq0 * bufferLength / (sampleRate / 2));
-        const bin1 = Math.floor(freq1 * bufferLength / (sampleRate / 2));
+function updateModeDemodulator() {
+    const mode = activeDataMode();
+    if (isBaseChordMode(mode)) {
+        modeDemodulator = null;
+    } else if (!isDemodulatorFor(modeDemodulator, mode)) {
+        modeAssembler.reset();
+        modeDemodulator = createModeDemodulator(mode);
+    }
+}
 
-        const amp0 = spectrum[bin0] || 0;
-        const amp1 = spectrum[bin1] || 0;
+function startReceptionLoop() {
+    if (receptionActive) return;
 
-        if (amp0 > CONFIG.SIGNAL_THRESHOLD || amp1 > CONFIG.SIGNAL_THRESHOLD) {
-            signalDetected = true;
-            demodulated.push(amp1 > amp0 ? '1' : '0');
-        } else {
-            demodulated.push(null);
-        }
+    resetDemodulationState();
+    chordDemodulator = createDataDemodulator();
+    modeDemodulator = null;
+    if (isListening) {
+        updateModeDemodulator();
     }
 
-    if (!signalDetected) {
-        return null;
-    }
+    // Listeners also watch the beacon tones, which may re-announce the channels at any time
+    beaconDemodulators = !isListening ? [] : Object.values(FREQUENCY_BANDS).map(band => {
+        const assembler = new FrameAssembler();
+        return createDemodulator([band.beaconFreq], CONFIG.BEACON_SYMBOL_DURATION,
+            bits => assembler.push(bits.join('')).forEach(frame => processBeacon(frame, band)),
+            () => assembler.dropPartialFrame());
+    });
 
-    return demodulated;
+    receptionActive = true;
 }
 
-function processReceivedBits(bits) {
-    bits.forEach(bit => {
-        if (bit !== null) {
-            demodulationState.bitStream += bit;
-        }
-    });
+function stopReceptionLoop() {
+    receptionActive = false;
+}
 
-    if (!demodulationState.syncDetected) {
-        const syncPattern = '10101010';
-        const idx = demodulationState.bitStream.indexOf(syncPattern);
-        if (idx !== -1) {
-            demodulationState.syncDetected = true;
-            demodulationState.bitStream = demodulationState.bitStream.slice(idx + syncPattern.length);
-            log('Sync detected!', 'success');
-        } else if (demodulationState.bitStream.length > 1000) {
-            demodulationState.bitStream = demodulationState.bitStream.slice(-100);
-        }
-        return;
-    }
+function resetDemodulationState() {
+    frameAssembler.reset();
+    modeAssembler.reset();
+}
 
-    while (demodulationState.bitStream.length >= 8) {
-        const byteBits = demodulationState.bitStream.slice(0, 8);
-        demodulationState.bitStream = demodulationState.bitStream.slice(8);
+function handleCapturedSamples(samples) {
+    // The microphone is ignored while a recording is being decoded
+    if (replayingRecording) return;
+    demodulateSamples(samples);
+}
 
-        const charCode = parseInt(byteBits, 2);
-        const char = String.fromCharCode(charCode);
+function demodulateSamples(samples) {
+    if (!receptionActive || !chordDemodulator) return;
+    chordDemodulator.process(samples);
+    if (modeDemodulator) {
+        modeDemodulator.process(samples);
+    }
+    beaconDemodulators.forEach(demodulator => demodulator.process(samples));
+}
 
-        demodulationState.packetBuffer += char;
+function processBeacon(frameBytes, band) {
+    const frame = parseFrame(frameBytes);
+    const frequencies = frame ? parseBeaconFrame(frame, band) : null;
+    if (!frequencies) return;
 
-        if (demodulationState.packetBuffer.includes('\x00') ||
-            (demodulationState.packetBuffer.length > 10 &&
-             (demodulationState.packetBuffer.includes('META:') ||
-              demodulationState.packetBuffer.includes('DATA:') ||
-              demodulationState.packetBuffer.includes('END:')))) {
+    if (band.id !== CONFIG.FREQUENCY_BAND) {
+        selectFrequencyBand(band.id);
+    }
+    optimalFrequencies = frequencies;
+    isCalibrated = true;
 
-            processPacket(demodulationState.packetBuffer);
-            demodulationState.packetBuffer = '';
-            demodulationState.syncDetected = false;
-        }
+    // Restart data demodulation on the announced channels; the preamble follows the beacon
+    frameAssembler.reset();
+    chordDemodulator = createDataDemodulator();
+    modeDemodulator = null;
+    rateProfile = null;
 
-        if (demodulationState.packetBuffer.length > 5000) {
-            log('Packet buffer overflow, resetting', 'warning');
-            demodulationState.packetBuffer = '';
-            demodulationState.syncDetected = false;
-        }
-    }
+    log(`Beacon received: locked onto ${frequencies.length} channels (${frequencies.join(', ')} Hz)`, 'success');
+    document.getElementById('listenerStatus').textContent = '🎧 Sender found, waiting for transmission...';
+    updateFrequencyDisplay();
 }
 
-function processPacket(packet) {
-    packet = packet.replace(/\x00/g, '').trim();
+function processReceivedBits(bits) {
+    const frames = frameAssembler.push(bits.join(''));
+    frames.forEach(frame => processPacket(frame));
+}
 
-    if (!packet || packet.length < 5) return;
+function processPacket(frameBytes) {
+    const frame = parseFrame(frameBytes);
+    if (!frame) return;
 
     try {
-        if (packet.startsWith('META:')) {
-            const metaJson = packet.slice(5);
-            fileMetadata = JSON.parse(metaJson);
+        if (frame.type === FRAME_TYPES.ACK || frame.type === FRAME_TYPES.NACK) {
+            handleAckPacket(frame);
+
+        } else if (frame.type === FRAME_TYPES.REPAIR) {
+            handleRepairPacket(frame);
+
+        } else if (frame.type === FRAME_TYPES.META) {
+            if (!isFrameIntact(frame, frame.body)) {
+                log('Metadata packet failed CRC check', 'warning');
+                return;
+            }
+
+            const metadata = JSON.parse(new TextDecoder().decode(frame.body));
+            // Chunks of another transfer must not end up in this one
+            if (fileMetadata && fileMetadata.transferId !== metadata.transferId) {
+                receivedChunks.clear();
+            }
+            fileMetadata = metadata;
             expectedChunks = fileMetadata.chunks;
+            bundleManifest = null;
+            handledEndRound = -1;
+            repairRound = 0;
+            rateProfile = null;
+            fecDecoder = fileMetadata.fec ? new ReedSolomonCodec(fileMetadata.fec) : null;
+            updateModeDemodulator();
 
             document.getElementById('listenerStatus').textContent =
-                `📥 Receiving: ${fileMetadata.filename} (${formatFileSize(fileMetadata.size)})${fileMetadata.compressed ? ' [Compressed]' : ''}`;
+                `📥 Receiving: ${fileMetadata.filename} (${formatFileSize(fileMetadata.size)})${fileMetadata.codec ? ' [Compressed]' : ''}`;
             document.getElementById('receiveProgress').classList.remove('hidden');
 
-            log(`Receiving file: ${fileMetadata.filename} (${expectedChunks} chunks)${fileMetadata.compressed ? ' [Compressed]' : ''}`, 'success');
+            const what = isBundle(fileMetadata) ? `${fileMetadata.files} files` : fileMetadata.message ? 'message' : 'file';
+            log(`Receiving ${what}: ${fileMetadata.filename} (${expectedChunks} chunks, ${getModulation(fileMetadata.modulation).name})${fileMetadata.codec ? ` [${fileMetadata.codec}]` : ''}`, 'success');
+            updateBundleProgress();
+
+            resumeTransfer(frame).catch(e => log('Resume failed: ' + e.message, 'warning'));
 
-        } else if (packet.startsWith('DATA:')) {
-            const parts = packet.slice(5).split(':');
-            if (parts.length >= 2) {
-                const chunkIdx = parseInt(parts[0]);
-                const base64Data = parts.slice(1).join(':');
+        } else if (frame.type === FRAME_TYPES.RATE) {
+            const profile = parseRateFrame(frame);
+            if (!profile || !fileMetadata) return;
 
-                if (!isNaN(chunkIdx) && !receivedChunks.has(chunkIdx)) {
-                    receivedChunks.set(chunkIdx, base64Data);
+            // Repeats (our ACK was lost) change nothing but still need an ACK
+            if (!isSameRateProfile(rateProfile, profile)) {
+                rateProfile = profile;
+                updateModeDemodulator();
+                log(`Sender switched data rate: ${describeRateProfile(profile)}`, 'info');
+            }
+
+            sendAck(frame);
 
-                    const progress = (receivedChunks.size / expectedChunks) * 100;
-                    document.getElementById('receiveProgressText').textContent = `${Math.round(progress)}%`;
-                    document.getElementById('receiveProgressFill').style.width = `${progress}%`;
-                    document.getElementById('receivedChunks').textContent = receivedChunks.size;
+        } else if (frame.type === FRAME_TYPES.DATA) {
+            const chunkIdx = frame.seq;
+            const chunk = decodeDataFrame(frame, fecDecoder);
 
-                    const elapsed = (Date.now() - receptionStartTime) / 1000;
-                    totalBytesReceived += atob(base64Data).length;
-                    const rate = Math.round(totalBytesReceived / elapsed);
-                    document.getElementById('dataRate').textContent = rate;
+            if (!chunk) {
+                sendAck(frame, false);
+                return;
+            }
 
-                    // Send ACK (simplified - would need separate transmission channel in reality)
-                    // sendAck(chunkIdx);
+            if (!receivedChunks.has(chunkIdx)) {
+                receivedChunks.set(chunkIdx, chunk);
+                if (fileMetadata && fileMetadata.transferId) {
+                    transferStore.saveChunk(fileMetadata.transferId, chunkIdx, chunk);
                 }
+                updateReceiveProgress();
+
+                const elapsed = (Date.now() - receptionStartTime) / 1000;
+                totalBytesReceived += chunk.length;
+                const rate = Math.round(totalBytesReceived / elapsed);
+                document.getElementById('dataRate').textContent = rate;
+
+                updateBundleProgress();
             }
 
-        } else if (packet.startsWith('END:')) {
-            if (receivedChunks.size > 0) {
-                log('End signal received, reconstructing file...', 'info');
-                reconstructFile();
+            // Duplicates are acknowledged too: the sender only resends when our last ACK was lost
+            sendAck(frame);
+
+        } else if (frame.type === FRAME_TYPES.END) {
+            // END is sent twice per round; only the first copy counts
+            if (receivedChunks.size > 0 && isFrameIntact(frame, frame.body) && frame.seq > handledEndRound) {
+                handledEndRound = frame.seq;
+                handleEndOfRound(frame);
             }
         }
     } catch (error) {
@@ -1259,78 +4895,556 @@ function processPacket(packet) {
     }
 }
 
-function reconstructFile() {
+function updateReceiveProgress() {
+    const progress = (receivedChunks.size / expectedChunks) * 100;
+    document.getElementById('receiveProgressText').textContent = `${Math.round(progress)}%`;
+    document.getElementById('receiveProgressFill').style.width = `${progress}%`;
+    document.getElementById('receivedChunks').textContent = receivedChunks.size;
+}
+
+// Acknowledges META, then takes back the chunks an earlier session kept for this transfer
+// id. When chunks are already held, the ACK says so and a REPAIR bitmap follows, so the
+// sender plays only the missing ones. The store is read while the ACK plays: the sender's
+// ACK_TIMEOUT leaves no room for a slow IndexedDB before it.
+async function resumeTransfer(metaFrame) {
+    const metadata = fileMetadata;
+    const id = metadata.transferId;
+    const stored = id ? transferStore.load(id) : Promise.resolve(null);
+    const resuming = receivedChunks.size > 0 || (!!id && transferStore.hasChunks(id));
+
+    const acked = await sendAck(metaFrame, true, resuming);
+    const kept = await stored;
+
+    // A later META may have replaced this one meanwhile
+    if (fileMetadata !== metadata) return;
+
+    let restored = 0;
+    if (kept) {
+        for (const [index, chunk] of kept.chunks) {
+            if (!receivedChunks.has(index) && index < metadata.chunks) {
+                receivedChunks.set(index, chunk);
+                restored++;
+            }
+        }
+    }
+    if (restored > 0) {
+        log(`Resuming ${metadata.filename}: ${restored} chunk(s) kept from an earlier session`, 'success');
+        updateReceiveProgress();
+        updateBundleProgress();
+    }
+    if (id) {
+        transferStore.saveMetadata(metadata);
+    }
+
+    if (acked && resuming) {
+        await sendResumeRequest();
+    }
+}
+
+// SNR of the frame being acknowledged, as measured by the demodulator that locked onto it
+function receivedFrameSNR() {
+    if (modeDemodulator && modeDemodulator.frameSNR !== null) return modeDemodulator.frameSNR;
+    return chordDemodulator ? chordDemodulator.frameSNR : null;
+}
+
+// Resolves true once the reply has been played, false when none is sent or playing it
+// failed (logged here, since the receive path does not wait for it)
+async function sendAck(frame, positive = true, resume = false) {
+    if (!CONFIG.USE_ACK || !fileMetadata || !fileMetadata.useAck || replayingRecording) return false;
+
+    // Pause our own demodulator so the reply is not decoded as incoming data
+    stopReceptionLoop();
     try {
-        let fileData = '';
+        await new Promise(resolve => setTimeout(resolve, CONFIG.ACK_TURNAROUND));
 
-        for (let i = 0; i < expectedChunks; i++) {
-            if (receivedChunks.has(i)) {
-                fileData += atob(receivedChunks.get(i));
-            } else {
-                log(`Warning: Missing chunk ${i}`, 'warning');
+        const replyType = positive ? FRAME_TYPES.ACK : FRAME_TYPES.NACK;
+        const snr = receivedFrameSNR();
+        const snrByte = snr === null ? ACK_SNR_UNKNOWN : Math.max(0, Math.min(ACK_SNR_UNKNOWN - 1, Math.round(snr)));
+        const body = resume ? [frame.type, snrByte, ACK_FLAG_RESUME] : [frame.type, snrByte];
+        await sendPacket(buildFrame(replyType, frame.seq, new Uint8Array(body)));
+        return true;
+    } catch (e) {
+        log('Failed to send ACK: ' + e.message, 'warning');
+        return false;
+    } finally {
+        if (isListening) {
+            startReceptionLoop();
+        }
+    }
+}
+
+function findMissingChunks(chunks = receivedChunks, total = expectedChunks) {
+    const missing = [];
+    for (let i = 0; i < total; i++) {
+        if (!chunks.has(i)) {
+            missing.push(i);
+        }
+    }
+    return missing;
+}
+
+// After each END: either the file is complete, or we ask the sender for the gaps
+async function handleEndOfRound(endFrame) {
+    const missing = findMissingChunks();
+    const canRepair = fileMetadata && fileMetadata.repair && !replayingRecording;
+
+    if (missing.length > 0 && canRepair && repairRound < CONFIG.MAX_REPAIR_ROUNDS) {
+        repairRound++;
+        document.getElementById('listenerStatus').textContent =
+            `🔧 Requesting ${missing.length} missing chunk(s) (round ${repairRound}/${CONFIG.MAX_REPAIR_ROUNDS})`;
+        document.getElementById('giveUpBtn').classList.remove('hidden');
+        log(`End of round ${endFrame.seq}: ${missing.length} chunk(s) missing, requesting repair`, 'warning');
+
+        await sendRepairRequest(endFrame, missing);
+        return;
+    }
+
+    if (canRepair && missing.length === 0) {
+        await sendRepairRequest(endFrame, missing);
+    }
+
+    log('End signal received, reconstructing file...', 'info');
+    reconstructFile();
+}
+
+// Waits until the sender's second END copy is over, then sends the missing-chunk bitmap
+async function sendRepairRequest(endFrame, missing) {
+    stopReceptionLoop();
+    const mode = activeDataMode();
+    const endAirtime = frameAirtime(endFrame, mode.frequencies.length, mode.symbolDuration, mode.modulation);
+    await new Promise(resolve => setTimeout(resolve, endAirtime + 100 + CONFIG.ACK_TURNAROUND));
+
+    await sendPacket(buildFrame(FRAME_TYPES.REPAIR, endFrame.seq, encodeChunkBitmap(missing, expectedChunks)));
+
+    if (isListening) {
+        startReceptionLoop();
+    }
+}
+
+// Follows a resuming META ACK with the same missing-chunk bitmap as after END. The lead-in
+// gives the sender time to restart its demodulator, which needs a quiet symbol to measure
+// the noise floor before it can lock onto a rising edge.
+async function sendResumeRequest() {
+    stopReceptionLoop();
+    const leadIn = CONFIG.ACK_TURNAROUND + CONFIG.PACKET_DELAY + 2 * CONFIG.SYMBOL_DURATION;
+    await new Promise(resolve => setTimeout(resolve, leadIn));
+
+    log(`Asking the sender for the ${findMissingChunks().length} chunk(s) still missing`, 'info');
+    await sendPacket(buildResumeRequest(receivedChunks, expectedChunks));
+
+    if (isListening) {
+        startReceptionLoop();
+    }
+}
+
+// REPAIR frame a resuming listener sends after its META ACK: the chunks it still needs
+function buildResumeRequest(chunks, total) {
+    return buildFrame(FRAME_TYPES.REPAIR, 0, encodeChunkBitmap(findMissingChunks(chunks, total), total));
+}
+
+// Listener gives up on the missing chunks and keeps what has arrived
+function giveUpRepair() {
+    if (!fileMetadata || !isListening) return;
+    log('Repair abandoned, saving the partial file', 'warning');
+    reconstructFile();
+}
+
+// Concatenates the chunks in order. Missing ones are skipped (the hash check will fail),
+// or with `size` left as zero-filled gaps so that later offsets, e.g. a bundle's manifest
+// entries, still point at the right bytes.
+function assembleChunks(chunks, total, size = null) {
+    const parts = [];
+
+    for (let i = 0; i < total; i++) {
+        if (chunks.has(i)) {
+            parts.push(chunks.get(i));
+        } else {
+            log(`Warning: Missing chunk ${i}`, 'warning');
+            if (size !== null) {
+                parts.push(new Uint8Array(Math.max(0, Math.min(CONFIG.CHUNK_SIZE, size - i * CONFIG.CHUNK_SIZE))));
             }
         }
+    }
+
+    return concatBytes(parts);
+}
+
+// Payload size to assemble to: bundles keep gaps for missing chunks (see assembleChunks)
+function assembledSize(metadata) {
+    return isBundle(metadata) ? metadata.size : null;
+}
+
+async function reconstructFile() {
+    document.getElementById('giveUpBtn').classList.add('hidden');
+    const payload = assembleChunks(receivedChunks, expectedChunks, assembledSize(fileMetadata));
+
+    stopListening();
+    await finishReception(payload);
+}
+
+function isBundle(metadata) {
+    return metadata.manifest !== undefined;
+}
+
+// Payload bytes [start, end) if every chunk covering them has arrived, else null
+function readReceivedBytes(start, end) {
+    const bytes = new Uint8Array(end - start);
+    for (let chunk = Math.floor(start / CONFIG.CHUNK_SIZE); chunk * CONFIG.CHUNK_SIZE < end; chunk++) {
+        const data = receivedChunks.get(chunk);
+        if (!data) return null;
+
+        const chunkStart = chunk * CONFIG.CHUNK_SIZE;
+        const from = Math.max(start, chunkStart);
+        const to = Math.min(end, chunkStart + data.length);
+        bytes.set(data.subarray(from - chunkStart, to - chunkStart), from - start);
+    }
+    return bytes;
+}
+
+// Per-file progress of a bundle. The manifest goes first, so it is usually readable after
+// a few chunks; an encrypted bundle only reveals it (file names included) after decryption.
+function updateBundleProgress() {
+    if (!fileMetadata || !isBundle(fileMetadata)) return;
+
+    if (!bundleManifest && !fileMetadata.encryption) {
+        const head = readReceivedBytes(0, 4 + fileMetadata.manifest);
+        bundleManifest = head ? parseBundleManifest(head) : null;
+        if (bundleManifest) {
+            log(`Bundle manifest received: ${bundleManifest.files.map(entry => safeBundlePath(entry.path)).join(', ')}`, 'info');
+        }
+    }
+    if (!bundleManifest) return;
+
+    const list = document.getElementById('fileProgressList');
+    list.innerHTML = '';
+    for (const entry of bundleManifest.files) {
+        const range = bundleEntryRange(bundleManifest, entry);
+        const first = Math.floor(range.start / CONFIG.CHUNK_SIZE);
+        const last = Math.max(first, Math.ceil(range.end / CONFIG.CHUNK_SIZE) - 1);
+        let received = 0;
+        for (let chunk = first; chunk <= last; chunk++) {
+            if (receivedChunks.has(chunk)) received++;
+        }
+
+        const row = document.createElement('div');
+        row.textContent = `${safeBundlePath(entry.path)} (${formatFileSize(entry.size)}): ${Math.round(received / (last - first + 1) * 100)}%`;
+        list.appendChild(row);
+    }
+}
 
-        let bytes = new Uint8Array(fileData.length);
-        for (let i = 0; i < fileData.length; i++) {
-            bytes[i] = fileData.charCodeAt(i);
+async function finishReception(bytes) {
+    try {
+        // The signature covers META and the payload as received, before decryption
+        const signedBytes = fileMetadata.signature ? await signedMetaBytes(fileMetadata, bytes) : null;
+
+        // Decrypt first: compression and the file hash both apply to the plaintext. An
+        // encrypted transfer's hash is the first SHA256_SIZE bytes of the plaintext.
+        let expectedHash = fileMetadata.sha256;
+        if (fileMetadata.encryption) {
+            const decrypted = await decryptReceived(bytes);
+            if (!decrypted) return;
+            expectedHash = decrypted.expectedHash;
+            bytes = decrypted.bytes;
         }
 
-        // Decompress if needed
-        if (fileMetadata.compressed) {
+        if (fileMetadata.codec) {
             document.getElementById('listenerStatus').textContent = 'Decompressing file...';
-            log('Decompressing file...', 'info');
+        }
 
-            try {
-                bytes = compressor.decompress(bytes);
-                log(`File decompressed: ${formatFileSize(fileMetadata.size)} → ${formatFileSize(bytes.length)}`, 'success');
-            } catch (e) {
-                log(`Decompression failed: ${e.message}`, 'error');
-            }
+        // Decompress and verify the whole file against the sender's SHA-256
+        const unpacked = await unpackPayload(bytes, fileMetadata, expectedHash);
+        const verified = unpacked.verified;
+        bytes = unpacked.bytes;
+        let integrityStatus = '✅ Verified (SHA-256)';
+
+        if (!verified) {
+            integrityStatus = '❌ SHA-256 mismatch - file is corrupt';
+            log('File hash does not match: the received file is corrupt', 'error');
+        } else if (fileMetadata.transferId) {
+            // Only incomplete transfers are worth resuming
+            transferStore.delete(fileMetadata.transferId);
         }
 
-        // Verify
-        const receivedChecksum = calculateChecksum(bytes);
-        let integrityStatus = '✅ Verified';
+        let signerStatus = 'Unsigned';
+        if (fileMetadata.signature) {
+            signerStatus = await verifyTransferSignature(signedBytes, fileMetadata.signature);
+            log(`Sender: ${signerStatus}`, signerStatus.startsWith('✅') ? 'success' : 'warning');
+        }
+
+        if (isBundle(fileMetadata)) {
+            finishBundleReception(await unpackBundle(bytes), signerStatus);
+            return;
+        }
 
-        if (fileMetadata.checksum && fileMetadata.checksum !== receivedChecksum) {
-            integrityStatus = '⚠️ Checksum mismatch (possible corruption)';
-            log('Warning: Checksum mismatch', 'warning');
+        if (fileMetadata.message) {
+            finishMessageReception(bytes, integrityStatus, signerStatus);
+            return;
         }
 
         const blob = new Blob([bytes], { type: 'application/octet-stream' });
         receivedData = blob;
 
-        document.getElementById('listenerStatus').textContent = '✅ File received successfully!';
+        document.getElementById('listenerStatus').textContent = verified ?
+            '✅ File received successfully!' : '⚠️ File received with errors';
         document.getElementById('receivedFileName').textContent = fileMetadata.filename;
         document.getElementById('receivedFileSize').textContent = formatFileSize(blob.size);
         document.getElementById('integrityStatus').textContent = integrityStatus;
+        document.getElementById('signerStatus').textContent = signerStatus;
+        document.getElementById('downloadBtn').textContent = '💾 Download File';
+        document.getElementById('downloadBtn').classList.remove('hidden');
+        document.getElementById('receivedMessage').classList.add('hidden');
         document.getElementById('receivedFile').classList.remove('hidden');
         document.getElementById('signalQuality').textContent =
             `${Math.round((receivedChunks.size / expectedChunks) * 100)}%`;
 
         log(`File received: ${fileMetadata.filename} (${receivedChunks.size}/${expectedChunks} chunks)`, 'success');
 
-        stopListening();
-
     } catch (error) {
         log(`File reconstruction error: ${error.message}`, 'error');
     }
 }
 
+// Shows the files of a received bundle; each was verified against its own SHA-256, so the
+// intact ones stay usable even when others are damaged or missing
+function finishBundleReception(files, signerStatus) {
+    receivedFiles = files;
+    const intact = files.filter(file => file.verified);
+    receivedData = buildZip(intact);
+
+    const list = document.getElementById('receivedFileList');
+    list.innerHTML = '';
+    files.forEach((file, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin: 5px 0;';
+
+        const label = document.createElement('span');
+        label.textContent = `${file.verified ? '✅' : '❌'} ${file.path} (${formatFileSize(file.bytes.length)})`;
+        row.appendChild(label);
+
+        if (file.verified) {
+            const downloadBtn = document.createElement('button');
+            downloadBtn.className = 'btn';
+            downloadBtn.style.padding = '4px 10px';
+            downloadBtn.textContent = 'Download';
+            downloadBtn.onclick = () => downloadReceivedFile(index);
+            row.appendChild(downloadBtn);
+        }
+        list.appendChild(row);
+    });
+
+    const damaged = files.length - intact.length;
+    document.getElementById('listenerStatus').textContent = damaged === 0 ?
+        '✅ Files received successfully!' : '⚠️ Files received with errors';
+    document.getElementById('receivedFileName').textContent = `${fileMetadata.filename} (${files.length} files)`;
+    document.getElementById('receivedFileSize').textContent =
+        formatFileSize(files.reduce((total, file) => total + file.bytes.length, 0));
+    document.getElementById('integrityStatus').textContent = damaged === 0 ?
+        '✅ Verified (SHA-256 per file)' : `❌ ${damaged} of ${files.length} files corrupt or missing`;
+    document.getElementById('signerStatus').textContent = signerStatus;
+    document.getElementById('downloadBtn').textContent = '💾 Download All (ZIP)';
+    document.getElementById('downloadBtn').classList.remove('hidden');
+    document.getElementById('receivedMessage').classList.add('hidden');
+    document.getElementById('receivedFile').classList.remove('hidden');
+    document.getElementById('signalQuality').textContent =
+        `${Math.round((receivedChunks.size / expectedChunks) * 100)}%`;
+
+    if (damaged > 0) {
+        log(`${damaged} of ${files.length} files failed their SHA-256 check`, 'error');
+    }
+    log(`Files received: ${fileMetadata.filename} (${intact.length}/${files.length} intact, ${receivedChunks.size}/${expectedChunks} chunks)`, 'success');
+}
+
+// Shows a received text message inline with a copy button instead of a download.
+// textContent, never innerHTML: the text comes from whoever is transmitting.
+function finishMessageReception(bytes, integrityStatus, signerStatus) {
+    receivedMessage = new TextDecoder().decode(bytes);
+    receivedData = null;
+
+    document.getElementById('listenerStatus').textContent = integrityStatus.startsWith('✅') ?
+        '✅ Message received successfully!' : '⚠️ Message received with errors';
+    document.getElementById('receivedFileName').textContent = 'Text message';
+    document.getElementById('receivedFileSize').textContent = formatFileSize(bytes.length);
+    document.getElementById('integrityStatus').textContent = integrityStatus;
+    document.getElementById('signerStatus').textContent = signerStatus;
+    document.getElementById('receivedMessageText').textContent = receivedMessage;
+    document.getElementById('receivedMessage').classList.remove('hidden');
+    document.getElementById('downloadBtn').classList.add('hidden');
+    document.getElementById('receivedFile').classList.remove('hidden');
+    document.getElementById('signalQuality').textContent =
+        `${Math.round((receivedChunks.size / expectedChunks) * 100)}%`;
+
+    log(`Message received (${receivedMessage.length} characters, ${receivedChunks.size}/${expectedChunks} chunks)`, 'success');
+}
+
+// Decompresses a (decrypted) payload and checks it against the sender's SHA-256
+async function unpackPayload(bytes, metadata, expectedHash = metadata.sha256) {
+    if (metadata.codec) {
+        const codec = COMPRESSION_CODECS[metadata.codec];
+        log(`Decompressing file (${codec ? codec.name : metadata.codec})...`, 'info');
+
+        try {
+            if (!codec || !codec.available()) {
+                throw new Error(`codec ${metadata.codec} is not supported by this browser`);
+            }
+            const decompressed = await codec.decompress(bytes);
+            log(`File decompressed: ${formatFileSize(bytes.length)} → ${formatFileSize(decompressed.length)}`, 'success');
+            bytes = decompressed;
+        } catch (e) {
+            log(`Decompression failed: ${e.message}`, 'error');
+        }
+    }
+
+    const fileHash = await sha256(bytes);
+    return { bytes, fileHash, verified: bytesToHex(fileHash) === expectedHash };
+}
+
+// Offline counterpart of the live listener: finds the beacon, follows the announced
+// channels and collects META and DATA frames from a PCM recording of a transfer
+function decodeTransmission(samples, sampleRate) {
+    const result = { band: null, frequencies: null, metadata: null, chunks: new Map(), ended: false };
+    const dataAssembler = new FrameAssembler();
+    const modeAssembler = new FrameAssembler();
+    let dataDemodulator = null;
+    let modeDemodulator = null;
+    let decoder = null;
+
+    const demodulator = (frequencies, symbolDuration, assembler, onFrame, modulation, noiseLevel) => buildDemodulator({
+        sampleRate: sampleRate,
+        frequencies: frequencies,
+        symbolDuration: symbolDuration,
+        modulation: modulation,
+        noiseLevel: noiseLevel,
+        threshold: CONFIG.SIGNAL_THRESHOLD,
+        minSNR: CONFIG.MIN_SNR,
+        onSymbol: bits => assembler.push(bits.join('')).forEach(onFrame),
+        onSignalLost: () => assembler.dropPartialFrame()
+    });
+
+    // DATA and END follow in the modulation announced by META or the last RATE frame
+    const followMode = mode => {
+        if (isBaseChordMode(mode, result.frequencies)) {
+            modeDemodulator = null;
+        } else if (!isDemodulatorFor(modeDemodulator, mode)) {
+            modeAssembler.reset();
+            modeDemodulator = demodulator(mode.frequencies, mode.symbolDuration, modeAssembler, handleFrame,
+                mode.modulation, dataDemodulator.noiseLevel);
+        }
+    };
+
+    const handleFrame = frameBytes => {
+        const frame = parseFrame(frameBytes);
+        if (!frame) return;
+
+        if (frame.type === FRAME_TYPES.META && isFrameIntact(frame, frame.body)) {
+            result.metadata = JSON.parse(new TextDecoder().decode(frame.body));
+            decoder = result.metadata.fec ? new ReedSolomonCodec(result.metadata.fec) : null;
+            followMode(dataMode(result.metadata, result.frequencies));
+        } else if (frame.type === FRAME_TYPES.RATE && result.metadata) {
+            const profile = parseRateFrame(frame, result.frequencies.length);
+            if (profile) {
+                followMode(profileMode(profile, result.frequencies));
+            }
+        } else if (frame.type === FRAME_TYPES.DATA && result.metadata && !result.chunks.has(frame.seq)) {
+            const chunk = decodeDataFrame(frame, decoder);
+            if (chunk) {
+                result.chunks.set(frame.seq, chunk);
+            }
+        } else if (frame.type === FRAME_TYPES.END) {
+            result.ended = true;
+        }
+    };
+
+    const beaconDemodulators = Object.values(FREQUENCY_BANDS).map(band =>
+        demodulator([band.beaconFreq], CONFIG.BEACON_SYMBOL_DURATION, new FrameAssembler(), frameBytes => {
+            const frame = parseFrame(frameBytes);
+            const frequencies = frame ? parseBeaconFrame(frame, band) : null;
+            if (!frequencies) return;
+
+            result.band = band.id;
+            result.frequencies = frequencies;
+            dataAssembler.reset();
+            modeAssembler.reset();
+            dataDemodulator = demodulator(frequencies, CONFIG.SYMBOL_DURATION, dataAssembler, handleFrame);
+            modeDemodulator = null;
+        }));
+
+    for (let i = 0; i < samples.length; i += CONFIG.CAPTURE_BLOCK_SIZE) {
+        const block = samples.subarray(i, i + CONFIG.CAPTURE_BLOCK_SIZE);
+        beaconDemodulators.forEach(beaconDemodulator => beaconDemodulator.process(block));
+        if (dataDemodulator) {
+            dataDemodulator.process(block);
+        }
+        if (modeDemodulator) {
+            modeDemodulator.process(block);
+        }
+    }
+
+    return result;
+}
+
+// Returns decryptTransferPayload's result, or null after reporting a wrong passphrase / failed authentication
+async function decryptReceived(ciphertext) {
+    const passphrase = document.getElementById('listenerPassphrase').value;
+    document.getElementById('listenerStatus').textContent = 'Decrypting file...';
+
+    try {
+        const decrypted = await decryptTransferPayload(ciphertext, fileMetadata, passphrase);
+        encryptedPayload = null;
+        document.getElementById('decryptRetry').classList.add('hidden');
+        log('File decrypted and authenticated', 'success');
+        return decrypted;
+    } catch (e) {
+        encryptedPayload = ciphertext;
+        document.getElementById('listenerStatus').textContent = '🔒 Wrong passphrase / authentication failed';
+        document.getElementById('decryptRetry').classList.remove('hidden');
+        log('Decryption failed: wrong passphrase or the data was altered', 'error');
+        return null;
+    }
+}
+
+// Lets the user fix the passphrase without having to receive the file again
+async function retryDecryption() {
+    if (!encryptedPayload || !fileMetadata) return;
+
+    await finishReception(encryptedPayload);
+}
+
 function downloadReceived() {
     if (!receivedData) return;
 
-    const url = URL.createObjectURL(receivedData);
+    const filename = fileMetadata.filename || 'received_file';
+    downloadBlob(receivedData, isBundle(fileMetadata) ? `${filename}.zip` : filename);
+    log('File downloaded successfully!', 'success');
+}
+
+async function copyReceivedMessage() {
+    if (receivedMessage === null) return;
+
+    try {
+        await navigator.clipboard.writeText(receivedMessage);
+        log('Message copied to clipboard', 'success');
+    } catch (e) {
+        prompt('Copy the message:', receivedMessage);
+    }
+}
+
+function downloadReceivedFile(index) {
+    const file = receivedFiles[index];
+    if (!file) return;
+
+    downloadBlob(new Blob([file.bytes], { type: 'application/octet-stream' }), file.path.split('/').pop());
+    log(`Downloaded ${file.path}`, 'success');
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = fileMetadata.filename || 'received_file';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-
-    log('File downloaded successfully!', 'success');
 }
 
 // =============================================================================
@@ -1492,8 +5606,62 @@ function stopReceiveVisualization() {
 // INITIALIZATION
 // =============================================================================
 
-window.addEventListener('load', () => {
-    log('SonicTransfer Enhanced v2.0 loaded!', 'info');
-    log('New features: ACK/NACK, Signal Monitor, LZ Compression, Presets, Adaptive Power', 'success');
-    updatePresetUI();
-});
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', () => {
+        log('SonicTransfer Enhanced v2.0 loaded!', 'info');
+        log('New features: ACK/NACK, Signal Monitor, LZ Compression, Presets, Adaptive Power', 'success');
+        updatePresetUI();
+        updateIdentityUI();
+        updateTrustedKeysUI();
+        updateSpectrogramScales();
+    });
+}
+
+// Node (loopback test): expose the DOM-free modem and protocol pieces
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        FRAME_TYPES,
+        FREQUENCY_BANDS,
+        applyFrequencyBand,
+        prepareTransfer,
+        renderTransfer,
+        TransmissionRenderer,
+        encodeWav,
+        synthesizeChord,
+        synthesizeTone,
+        decodeTransmission,
+        assembleChunks,
+        assembledSize,
+        findMissingChunks,
+        buildResumeRequest,
+        decodeChunkBitmap,
+        unpackPayload,
+        decryptTransferPayload,
+        signingIdentity,
+        trustedKeys,
+        SIGNED_META_FIELDS,
+        signedMetaBytes,
+        verifyTransferSignature,
+        buildBundle,
+        unpackBundle,
+        parseBundleManifest,
+        bundleEntryRange,
+        buildZip,
+        buildFrame,
+        parseFrame,
+        ChannelSimulator,
+        RATE_PROFILES,
+        RateController,
+        buildRateFrame,
+        parseRateFrame,
+        isSameRateProfile,
+        createRandom,
+        ChordDemodulator,
+        MODULATIONS,
+        FrameAssembler,
+        ReedSolomonCodec,
+        LZCompressor,
+        COMPRESSION_CODECS
+    };
+}